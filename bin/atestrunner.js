@@ -0,0 +1,259 @@
+#!/usr/bin/env node
+/**
+ * @file atestrunner.js
+ * @author Holmes Bryant <https://github.com/HolmesBryant>
+ * @license MIT
+ *
+ * Runs ATestRunner suites in Node.js and exits with a non-zero status if any suite fails.
+ *
+ * Usage: atestrunner [--dom] [--isolate] [--watch] [--update-snapshots] [--update-baselines] [--coverage] [--reporter=junit|tap] [--outfile=path] <file|directory>...
+ *   Directories are searched recursively for files ending in `.test.js`.
+ *   --dom               Install a lightweight DOM shim before loading the suites.
+ *   --isolate           Run each file in its own worker thread.
+ *   --watch             Keep running, and re-run the files affected when a test file or a module it imports changes.
+ *   --update-snapshots  Replace stored snapshots that differ instead of failing.
+ *   --update-baselines  Store the benchmark times of this run as the baselines instead of comparing with them.
+ *   --coverage          Collect code coverage of the modules under test and write lcov and JSON reports.
+ *   --coverage-dir      The directory for the coverage reports. Defaults to `coverage`.
+ *   --coverage-threshold  Fail if coverage is below a percentage: `80`, or per measure as `lines=80,branches=70,functions=90`.
+ *   --reporter          Write a JUnit XML or TAP 13 report covering every suite instead of terminal output.
+ *   --outfile           Write the report to a file instead of stdout.
+ *   Options that take a value accept it as `--name=value` or `--name value`.
+ */
+
+import { mkdir, readdir, stat, writeFile } from "node:fs/promises";
+import { resolve, join, relative } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import ATestRunner, { ATestOrchestrator, JUnitReporter, TapReporter, TerminalReporter } from "../src/ATestRunner.js";
+
+const USAGE = "Usage: atestrunner [--dom] [--isolate] [--watch] [--update-snapshots] [--update-baselines] [--coverage] [--coverage-dir=path] [--coverage-threshold=n] [--reporter=junit|tap] [--outfile=path] <file|directory>...";
+
+/** The options the command accepts, without dashes. */
+const OPTIONS = ["dom", "isolate", "watch", "update-snapshots", "update-baselines", "coverage", "coverage-dir", "coverage-threshold", "reporter", "outfile", "help"];
+
+/** The options that take a value. */
+const VALUE_OPTIONS = ["coverage-dir", "coverage-threshold", "reporter", "outfile"];
+
+/** The URL of the DOM shim installed by `--dom`. */
+const SHIM_URL = new URL("../src/dom-shim.js", import.meta.url).href;
+
+/**
+ * Expands the command line paths into a sorted list of test files.
+ * @async
+ * @param {Array<string>} paths - Files and directories given on the command line.
+ * @returns {Promise<Array<string>>} Absolute paths of the test files.
+ * @throws {Error} If a path does not exist.
+ */
+async function findTestFiles(paths) {
+  const files = [];
+  for (const path of paths) {
+    const absolute = resolve(path);
+    const info = await stat(absolute).catch(() => null);
+    if (!info) throw new Error(`No such file or directory: '${path}'.`);
+    if (info.isDirectory()) {
+      const entries = await readdir(absolute, { recursive: true });
+      files.push(...entries.filter(entry => entry.endsWith(".test.js")).sort().map(entry => join(absolute, entry)));
+    } else {
+      files.push(absolute);
+    }
+  }
+  return files;
+}
+
+/**
+ * Gets the value of an option given as `--name=value` or `--name value`.
+ * @param {Array<string>} args - The command line arguments.
+ * @param {string} name - The option name, without dashes.
+ * @returns {string|undefined} The value, if the option was given with one.
+ */
+function option(args, name) {
+  const index = args.findIndex(arg => arg === `--${name}` || arg.startsWith(`--${name}=`));
+  if (index === -1) return undefined;
+  if (args[index] !== `--${name}`) return args[index].slice(name.length + 3);
+  return args[index + 1]?.startsWith("--") ? undefined : args[index + 1];
+}
+
+/**
+ * Lists the command line arguments that are test paths rather than options or their values.
+ * @param {Array<string>} args - The command line arguments.
+ * @returns {Array<string>} The paths.
+ */
+function testPaths(args) {
+  return args.filter((arg, index) => !arg.startsWith("--") && !VALUE_OPTIONS.includes(args[index - 1]?.slice(2)));
+}
+
+/**
+ * Parses `--coverage-threshold`: one percentage for every measure, or a list such as `lines=80,branches=70`.
+ * @param {string|undefined} value - The option's value.
+ * @returns {object|null} Minimum percentages by measure, or null if the value is invalid.
+ */
+function parseThresholds(value) {
+  if (value === undefined) return {};
+  if (/^\d+(\.\d+)?$/.test(value)) return { lines: Number(value), branches: Number(value), functions: Number(value) };
+  const thresholds = {};
+  for (const part of value.split(",")) {
+    const [measure, minimum] = part.split("=");
+    if (!["lines", "branches", "functions"].includes(measure) || !/^\d+(\.\d+)?$/.test(minimum ?? "")) return null;
+    thresholds[measure] = Number(minimum);
+  }
+  return thresholds;
+}
+
+/**
+ * Stops collecting coverage, prints the summary, writes `lcov.info` and `coverage-summary.json` and checks the thresholds.
+ * Test files, this package's own modules and anything outside the working directory or in `node_modules` are left out.
+ * @async
+ * @param {{stop: Function}} coverage - The handle returned by startCoverage().
+ * @param {Array<string>} testFiles - The test files, relative to the working directory.
+ * @param {object} options - Options.
+ * @param {object} options.thresholds - Minimum percentages by measure.
+ * @param {string} options.dir - The directory for the reports.
+ * @param {Function} options.print - Prints the summary.
+ * @returns {Promise<boolean>} False if any threshold was not met.
+ */
+async function reportCoverage(coverage, testFiles, { thresholds, dir, print }) {
+  const { checkThresholds, formatCoverage, toJSONSummary, toLcov } = await import("../src/coverage.js");
+  const cwd = pathToFileURL(process.cwd() + "/").href;
+  const ownModules = [new URL("../src/", import.meta.url).href, new URL("../bin/", import.meta.url).href];
+  const tests = new Set(testFiles.map(file => pathToFileURL(resolve(file)).href));
+  const files = await coverage.stop(url => url.startsWith(cwd)
+    && !url.includes("/node_modules/")
+    && !ownModules.some(dir => url.startsWith(dir))
+    && !tests.has(url)
+    && !/\.test\.js$/.test(url));
+
+  print(`\nCoverage\n${formatCoverage(files, path => relative(process.cwd(), path))}`);
+  await mkdir(dir, { recursive: true });
+  await writeFile(join(dir, "lcov.info"), toLcov(files));
+  await writeFile(join(dir, "coverage-summary.json"), toJSONSummary(files));
+
+  const failures = checkThresholds(files, thresholds);
+  failures.forEach(message => console.error(message));
+  return failures.length === 0;
+}
+
+/**
+ * Creates the reporter that keeps the verdict of every file and prints them after each run in watch mode.
+ * @param {Array<string>} files - The test files.
+ * @returns {object} The reporter.
+ */
+function watchStatus(files) {
+  const verdicts = new Map(files.map(file => [file, "pass"]));
+  return {
+    report() {},
+    groupEnd(group) { if (group.path.length === 1) verdicts.set(group.gist, group.verdict); },
+    complete() {
+      const failing = files.filter(file => verdicts.get(file) === "fail");
+      const status = failing.length ? `\x1b[31m${failing.length} failing: ${failing.join(", ")}\x1b[0m` : "\x1b[32mall passing\x1b[0m";
+      console.log(`\nWatching ${files.length} file(s), ${status}. Press Ctrl+C to stop.`);
+    }
+  };
+}
+
+/**
+ * Builds the modules that repeat this process's setup inside each isolated worker.
+ * @param {boolean} dom - Whether the DOM shim is installed.
+ * @returns {Array<string>} `data:` URLs of the setup modules.
+ */
+function isolatedSetup(dom) {
+  const runnerURL = JSON.stringify(new URL("../src/ATestRunner.js", import.meta.url).href);
+  const setup = [];
+  if (dom) setup.push(`import { installDomShim } from ${JSON.stringify(SHIM_URL)}; installDomShim();`);
+  if (ATestRunner.defaultUpdateSnapshots) setup.push(`import ATestRunner from ${runnerURL}; ATestRunner.defaultUpdateSnapshots = true;`);
+  if (ATestRunner.defaultUpdateBaselines) setup.push(`import ATestRunner from ${runnerURL}; ATestRunner.defaultUpdateBaselines = true;`);
+  return setup.map(source => `data:text/javascript,${encodeURIComponent(source)}`);
+}
+
+const args = process.argv.slice(2);
+const paths = testPaths(args);
+const reporterName = option(args, "reporter");
+const outfile = option(args, "outfile");
+
+const unknown = args.find(arg => arg.startsWith("--") && !OPTIONS.includes(arg.slice(2).split("=")[0]));
+if (unknown) {
+  console.error(`Unknown option '${unknown}'.\n${USAGE}`);
+  process.exit(2);
+}
+const valueless = VALUE_OPTIONS.find(name => args.some(arg => arg === `--${name}` || arg.startsWith(`--${name}=`)) && !option(args, name));
+if (valueless) {
+  console.error(`--${valueless} expects a value.\n${USAGE}`);
+  process.exit(2);
+}
+
+if (args.includes("--help") || paths.length === 0) {
+  console.log(USAGE);
+  process.exit(paths.length === 0 && !args.includes("--help") ? 2 : 0);
+}
+
+if (args.includes("--dom")) {
+  const { installDomShim } = await import(SHIM_URL);
+  installDomShim();
+}
+
+ATestRunner.defaultUpdateSnapshots = args.includes("--update-snapshots");
+ATestRunner.defaultUpdateBaselines = args.includes("--update-baselines");
+
+let reporter;
+if (reporterName === "junit") reporter = new JUnitReporter();
+else if (reporterName === "tap") reporter = new TapReporter();
+else if (reporterName === undefined) reporter = new TerminalReporter();
+else {
+  console.error(`Unknown reporter '${reporterName}'. Use 'junit' or 'tap'.`);
+  process.exit(2);
+}
+
+const watch = args.includes("--watch");
+if (watch && reporterName) {
+  console.error("--watch writes to the terminal and cannot be combined with --reporter.");
+  process.exit(2);
+}
+
+const thresholds = parseThresholds(option(args, "coverage-threshold"));
+const collectCoverage = args.includes("--coverage") || option(args, "coverage-threshold") !== undefined;
+if (thresholds === null) {
+  console.error("--coverage-threshold expects a percentage, or a list such as lines=80,branches=70,functions=90.");
+  process.exit(2);
+}
+if (collectCoverage && (watch || args.includes("--isolate"))) {
+  console.error("Coverage is collected in this process, so --coverage cannot be combined with --watch or --isolate.");
+  process.exit(2);
+}
+
+// Files are named relative to the working directory in the report.
+const files = (await findTestFiles(paths).catch(error => {
+  console.error(`${error.message}\n${USAGE}`);
+  process.exit(2);
+})).map(file => relative(process.cwd(), file));
+const orchestrator = new ATestOrchestrator(files, {
+  baseURL: pathToFileURL(process.cwd() + "/").href,
+  reporters: watch ? [reporter, watchStatus(files)] : [reporter],
+  isolate: args.includes("--isolate"),
+  preload: isolatedSetup(args.includes("--dom"))
+});
+
+if (watch) {
+  const controller = new AbortController();
+  // The first Ctrl+C stops after the current run; a second one exits at once.
+  process.on("SIGINT", () => controller.signal.aborted ? process.exit(130) : controller.abort());
+  await orchestrator.watch({
+    signal: controller.signal,
+    onChange: (changed, affected) => {
+      if (process.stdout.isTTY) console.clear();
+      const names = changed.map(url => relative(process.cwd(), fileURLToPath(url)));
+      console.log(`Changed: ${names.join(", ")}. Re-running ${affected.length} file(s).\n`);
+    }
+  });
+  process.exit(0);
+}
+const coverage = collectCoverage ? await (await import("../src/coverage.js")).startCoverage() : null;
+let verdict = await orchestrator.run();
+if (reporterName && outfile) await writeFile(outfile, reporter.output);
+else if (reporterName) process.stdout.write(reporter.output);
+const coverageOptions = {
+  thresholds,
+  dir: resolve(option(args, "coverage-dir") ?? "coverage"),
+  // Keep stdout clean when a report is written to it.
+  print: reporterName && !outfile ? console.error : console.log
+};
+if (coverage && !(await reportCoverage(coverage, files, coverageOptions))) verdict = "fail";
+process.exit(verdict === "fail" ? 1 : 0);
@@ -10,12 +10,56 @@
  * The main class for running tests, managing the test queue, and orchestrating reporters.
  */
 export default class ATestRunner {
+  /**
+   * @static
+   * @type {Array<ATestRunner>|null} When set to an array, every runner constructed afterwards is pushed onto it.
+   * Used by orchestrators such as the headless CLI to find the runners a test file creates.
+   */
+  static registry = null;
+  /** @static @type {boolean} The `updateSnapshots` setting of new runners. The headless CLI's `--update-snapshots` sets it. */
+  static defaultUpdateSnapshots = false;
+  /** @static @type {boolean} The `updateBaselines` setting of new runners. The headless CLI's `--update-baselines` sets it. */
+  static defaultUpdateBaselines = false;
+  /** @static @type {string} The output used by new runners. The headless CLI sets this to 'terminal'. */
+  static defaultOutput = "console";
+
+  /** @type {object} The built-in arbitraries for property(). The same object is exported as `arb`. */
+  arb = arb;
   /** @type {string|null} The line number of the currently executing test file. */
   currentLine = null;
   /** @type {boolean} If true, only reports failed tests. */
   onlyFailed = false;
   /** @type {number} The default timeout for tests in milliseconds. */
   timeout = 2000;
+  /**
+   * @type {number} The maximum number of tests in a group that run at the same time. Groups can override it with
+   * the `concurrent` and `maxConcurrency` options. Results are always reported in the order the tests were defined.
+   */
+  concurrency = 1;
+  /** @type {number} How many times a failing or erroring test is retried. A test that passes on a retry is reported as 'flaky'. */
+  retries = 0;
+  /**
+   * @type {boolean} If true, matchSnapshot() replaces stored snapshots that differ instead of failing.
+   * In a browser the `updateSnapshots` query parameter of the page's URL also turns it on.
+   */
+  updateSnapshots = ATestRunner.defaultUpdateSnapshots;
+  /**
+   * @type {boolean} If true, benchmark times replace the stored baselines instead of being compared with them.
+   * In a browser the `updateBaselines` query parameter of the page's URL also turns it on.
+   */
+  updateBaselines = ATestRunner.defaultUpdateBaselines;
+  /**
+   * @type {number} How far a benchmark time may move from its baseline, as a fraction, before the test is reported as
+   * 'regressed' or 'improved'. Tests can override it with the `baselineTolerance` option.
+   */
+  baselineTolerance = 0.2;
+  /** @type {number} Tests that take at least this many milliseconds are marked as slow. */
+  slowThreshold = 75;
+  /**
+   * @type {string|RegExp|null} Only tests whose group path and gist match are run; the rest are reported as skipped.
+   * In a browser it defaults to the `grep` query parameter of the page's URL.
+   */
+  grep = null;
   /** @type {string} The name of the custom event for test results. */
   resultEventName = "a-testresult";
   /** @type {string} The name of the custom event for progress updates. */
@@ -29,13 +73,60 @@ export default class ATestRunner {
   #finalVerdict = "pass";
   /** @private @type {string} The URL of the test file being run. */
   #testFileURL;
-  /** @private @type {Array<object>} The queue of tests to be run. */
+  /** @private @type {Array<object>} The queue of tests to be run. Group items hold their own queue in `payload.children`. */
   #testQueue = [];
+  /** @private @type {object} The top-level group. Its children are the test queue; its hooks apply to the whole runner. */
+  #rootGroup = { gist: null, children: this.#testQueue, hooks: this.#createHooks() };
+  /** @private @type {object} The group that new items and hooks are added to: the top-level group or the group being defined. */
+  #currentGroup = this.#rootGroup;
+  /** @private @type {number} The number of items processed so far in the current run. */
+  #processedCount = 0;
+  /** @private @type {object|null} The counts for the current run, handed to reporters' complete(). */
+  #summary = null;
+  /** @private @type {Array<object>} The counts of the groups currently being processed, outermost first. */
+  #openGroups = [];
+  /** @private @type {Array<object>} Spies that have not been restored yet: `{ restore, owner }`. */
+  #mocks = [];
+  /** @private @type {object|null} The group payload or test item that owns the spies being created now. */
+  #mockOwner = this.#rootGroup;
+  /**
+   * @private @type {object|null} The current test while it runs on its own: `{ key, calls, measurements }`, for naming
+   * snapshots and recording benchmark times.
+   */
+  #currentTest = null;
+  /** @private @type {object.<string, string>|null} Stored snapshots by key, loaded when a run starts. */
+  #snapshots = null;
+  /** @private @type {boolean} True if a snapshot was added or updated during the run. */
+  #snapshotsChanged = false;
+  /** @private @type {object.<string, number>|null} Stored benchmark baselines by key, in milliseconds per call, loaded when a run starts. */
+  #baselines = null;
+  /** @private @type {boolean} True if a baseline was added or updated during the run. */
+  #baselinesChanged = false;
+  /** @private @type {FakeClock|null} The clock installed by useFakeTimers(), until it is restored. */
+  #clock = null;
+  /** @private @type {object|null} The test item that installed the clock, or the group whose hooks or definition installed it. */
+  #clockOwner = null;
+  /** @private @type {Set<object>} The test items running at the moment, with their beforeEach and afterEach hooks. */
+  #runningTests = new Set();
+  /** @private @type {Set<object>|null} The test items selected by `only`, `grep` and the URL, or null if every test runs. */
+  #selection = null;
   /** @private @type {ATestReporter} The reporter instance to use for output. */
   #reporter;
+  /** @private @type {Array<Function>} Testers added with addEqualityTester(), consulted in order by every deep comparison. */
+  #equalityTesters = [];
+  /** @private @type {Array<object>} Reporters added with addReporter(), which receive every event alongside the output reporter. */
+  #addedReporters = [];
+  /** @private @type {Array<object>} The reporters receiving events during the current run. */
+  #activeReporters = [];
+  /** @private @type {Promise<string>|null} The promise returned by the most recent call to run(). */
+  #runPromise = null;
+  /** @private @type {boolean} True while a run is in progress. */
+  #running = false;
+  /** @private @type {AbortSignal|null} The signal passed to the current run. */
+  #signal = null;
 
   /** @private @type {string|HTMLElement} The configuration for the output target. */
-  #outputConfig = "console";
+  #outputConfig = ATestRunner.defaultOutput;
   /** @private @type {HTMLElement|string|null} The resolved DOM element for reporting. */
   #outputTarget = null;
 
@@ -47,21 +138,143 @@ export default class ATestRunner {
     this.#testFileURL = testFileURL;
     // Default to console reporter. It will be replaced if a DOM target is set.
     this.#reporter = new ConsoleReporter();
+    ATestRunner.registry?.push(this);
+    this.addEqualityTester = this.addEqualityTester.bind(this);
+    this.addReporter = this.addReporter.bind(this);
+    this.afterAll = this.afterAll.bind(this);
+    this.afterEach = this.afterEach.bind(this);
+    this.beforeAll = this.beforeAll.bind(this);
+    this.beforeEach = this.beforeEach.bind(this);
+    this.bench = this.bench.bind(this);
+    this.benchmark = this.benchmark.bind(this);
+    this.diff = this.diff.bind(this);
+    this.downloadSnapshots = this.downloadSnapshots.bind(this);
     this.equal = this.equal.bind(this);
+    this.expect = this.expect.bind(this);
+    this.fn = this.fn.bind(this);
     this.group = this.group.bind(this);
+    this.group.only = (gist, testsFn, options = {}) => this.#addGroup(gist, testsFn, { ...options, only: true });
+    this.group.each = table => this.#eachGroup(table);
     this.info = this.info.bind(this);
+    this.loadSnapshots = this.loadSnapshots.bind(this);
     this.log = this.log.bind(this);
+    this.matchSnapshot = this.matchSnapshot.bind(this);
+    this.mockObject = this.mockObject.bind(this);
     this.skip = this.skip.bind(this);
+    this.spyOn = this.spyOn.bind(this);
     this.test = this.test.bind(this);
+    this.test.only = (gist, testFn, expect, options = {}) => this.test(gist, testFn, expect, { ...options, only: true });
+    this.test.serial = (gist, testFn, expect, options = {}) => this.test(gist, testFn, expect, { ...options, serial: true });
+    this.test.each = table => this.#eachTest(table);
+    this.todo = this.todo.bind(this);
+    this.useFakeTimers = this.useFakeTimers.bind(this);
     this.when = this.when.bind(this);
     this.profile = this.profile.bind(this);
+    this.property = this.property.bind(this);
+    this.reset = this.reset.bind(this);
     this.run = this.run.bind(this);
   }
 
   // --- Public API ---
 
+  /**
+   * Adds a custom equality tester, consulted by `equal()`, `diff()`, `toEqual()`, the checks of spies and the
+   * comparison of test results before the built-in rules, for every pair of values that are not identical,
+   * including nested ones. Testers are kept by `reset()`.
+   * @param {Function} tester - Called with the two values and an `equals(a, b)` function for nested comparisons.
+   *   Returns true or false to decide, or undefined to leave the values to the next tester or the built-in rules.
+   * @returns {Function} Removes the tester.
+   * @throws {TypeError} If the tester is not a function.
+   * @example
+   * runner.addEqualityTester((a, b) => a instanceof Money && b instanceof Money ? a.equals(b) : undefined);
+   */
+  addEqualityTester(tester) {
+    if (typeof tester !== "function") throw new TypeError("addEqualityTester() expects a function.");
+    this.#equalityTesters.push(tester);
+    return () => { this.#equalityTesters = this.#equalityTesters.filter(entry => entry !== tester); };
+  }
+
+  /**
+   * Adds a reporter that receives every event alongside the reporter chosen by `output`.
+   * The reporter can be any object with a `report(result)` method; `groupStart`, `groupEnd`,
+   * `progress` and `complete` are called if present. If a reporter throws, it is disabled for
+   * the rest of the run and the error is reported to the other reporters as an 'error' result.
+   * @param {ATestReporter|object} reporter - The reporter to add.
+   * @returns {ATestReporter|object} The reporter.
+   * @throws {TypeError} If the reporter has no `report` method.
+   */
+  addReporter(reporter) {
+    if (!isReporter(reporter)) throw new TypeError("addReporter() expects an object with a report() method.");
+    this.#addedReporters.push(reporter);
+    return reporter;
+  }
+
+  /**
+   * Registers a function to run once after every test in the enclosing group, or in the whole runner if called outside a group.
+   * @param {Function} fn - The hook function. May be async. It is subject to the runner's `timeout`.
+   */
+  afterAll(fn) { this.#addHook("afterAll", fn); }
+
+  /**
+   * Registers a function to run after each test in the enclosing group and its nested groups,
+   * or after every test if called outside a group. Inner hooks run before outer ones.
+   * @param {Function} fn - The hook function. May be async. It is subject to the runner's `timeout`.
+   */
+  afterEach(fn) { this.#addHook("afterEach", fn); }
+
+  /**
+   * Registers a function to run once before the tests in the enclosing group, or before all tests if called outside a group.
+   * If it throws, the error is reported and the tests it sets up are skipped.
+   * @param {Function} fn - The hook function. May be async. It is subject to the runner's `timeout`.
+   */
+  beforeAll(fn) { this.#addHook("beforeAll", fn); }
+
+  /**
+   * Registers a function to run before each test in the enclosing group and its nested groups,
+   * or before every test if called outside a group. Outer hooks run before inner ones.
+   * If it throws, the error is reported and the test is skipped.
+   * @param {Function} fn - The hook function. May be async. It is subject to the runner's `timeout`.
+   */
+  beforeEach(fn) { this.#addHook("beforeEach", fn); }
+
+  /**
+   * Adds a test that benchmarks one or more functions. Each candidate is warmed up, the number of calls per sample
+   * is calibrated so that a sample takes at least `minSampleTime`, and then samples are taken until there are
+   * `samples` of them or `maxTime` has passed. The result is the statistics of each candidate, with `relative`
+   * comparing its median with the fastest candidate's. The test passes unless a candidate breaks the budget.
+   * Benchmarks run on their own, even in a concurrent group. Each candidate's median is compared with the baseline
+   * stored for the test file under the test's group path, gist and the candidate's name; see `baselineTolerance`.
+   * @param {string} gist - The description of the benchmark.
+   * @param {Function|object.<string, Function>} fns - The function to benchmark, or candidates to compare by name. They may be async.
+   * @param {object} [options={}] - Options for the benchmark, and any option of `test()`.
+   * @param {number} [options.warmup=5] - The number of calls made before measuring.
+   * @param {number} [options.samples=20] - The number of samples to take.
+   * @param {number} [options.minSampleTime=5] - The shortest time a sample may take, in milliseconds.
+   * @param {number} [options.maxTime=1000] - The time after which no more samples are taken, in milliseconds, once there are at least three.
+   * @param {object} [options.budget] - Limits every candidate must meet: `mean`, `median`, `p95` and `max` are the most
+   *   milliseconds a call may take, and `opsPerSec` the fewest calls per second.
+   */
+  bench(gist, fns, { warmup = 5, samples = 20, minSampleTime = 5, maxTime = 1000, budget = null, ...options } = {}) {
+    const candidates = typeof fns === "function" ? { [fns.name || gist]: fns } : { ...fns };
+    const count = Object.keys(candidates).length;
+    const settings = { warmup, samples, minSampleTime, maxTime };
+    this.test(gist, async ({ signal }) => {
+      const stats = [];
+      for (const [name, fn] of Object.entries(candidates)) stats.push(await measure(name, fn, settings, signal));
+      const fastest = Math.min(...stats.map(candidate => candidate.median));
+      for (const candidate of stats) candidate.relative = fastest > 0 ? candidate.median / fastest : 1;
+      // The statistics are reported as the result, while the test itself expects nothing.
+      this.#currentTest.stats = stats;
+      const failures = budget ? stats.flatMap(candidate => checkBudget(candidate, budget)) : [];
+      if (failures.length) throw new AssertionError(failures.join(" "), { actual: stats, expected: budget, matcher: "bench" });
+      for (const candidate of stats) this.#recordTime(candidate.median, candidate.name);
+    }, undefined, { timeout: count * maxTime * 2 + this.timeout, ...options, serial: true, bench: true, budget });
+  }
+
   /**
    * Runs a function multiple times and measures the total execution time.
+   * Within a test that runs on its own, the time per call is compared with the baseline stored for the test file,
+   * named after the test's group path and gist and numbered by call; see `baselineTolerance`.
    * @async
    * @param {Function} fn - The function to benchmark.
    * @param {number} [iterations=1] - The number of times to run the function.
@@ -74,19 +287,97 @@ export default class ATestRunner {
     for (let i = 0; i < iterations; i++) {
       await fn.apply(context, args);
     }
-    return performance.now() - start;
+    const elapsed = performance.now() - start;
+    if (iterations > 0) this.#recordTime(elapsed / iterations);
+    return elapsed;
   }
 
   /**
    * Performs a deep equality comparison between two values.
    * Handles circular references, primitives, objects, arrays, Maps, Sets, Dates, RegExps, and TypedArrays.
+   * By default objects must have the same prototype and the same own enumerable string keys, and NaN is not
+   * equal to itself. Testers added with addEqualityTester() are consulted first.
    * @param {*} a - The first value.
    * @param {*} b - The second value.
+   * @param {object} [options={}] - Options that loosen or extend the comparison.
+   * @param {boolean} [options.ignorePrototypes=false] - Compare objects with different prototypes by their properties.
+   *   Arrays, Maps, Sets, Dates and other built-in types must still match.
+   * @param {Array<string>} [options.ignore=[]] - Keys to leave out at any depth, e.g. `'updatedAt'`, or paths, e.g. `'items[0].id'`.
+   * @param {boolean} [options.symbols=false] - Also compare own enumerable symbol keys.
+   * @param {boolean} [options.nonEnumerable=false] - Also compare own non-enumerable keys.
+   * @param {boolean} [options.ignoreUndefined=false] - Treat properties whose value is undefined as absent.
+   * @param {boolean} [options.equalNaN=false] - Treat NaN as equal to NaN.
+   * @param {number} [options.tolerance=0] - The largest difference at which two numbers are still equal.
    * @returns {boolean} True if the values are deeply equal, false otherwise.
+   * @example
+   * runner.equal({ total: 0.1 + 0.2, id: 7 }, { total: 0.3, id: 8 }, { tolerance: 1e-9, ignore: ['id'] }); // true
    */
-  equal(a, b) {
+  equal(a, b, options = {}) {
     const seen = new Map();
-    return this.#deepEqual(a, b, seen);
+    return this.#deepEqual(a, b, seen, null, "", equalityOptions(options));
+  }
+
+  /**
+   * Lists the differences between two values, using the same rules and options as `equal()`.
+   * @param {*} actual - The actual value.
+   * @param {*} expected - The expected value.
+   * @param {object} [options={}] - Options, including those of `equal()`.
+   * @param {boolean} [options.all=true] - If false, stops at the first difference.
+   * @returns {Array<{path: string, kind: string, actual: *, expected: *, message: string}>} One entry per difference.
+   *   `kind` is 'changed', 'missing' (only in expected) or 'unexpected' (only in actual). The array is empty if the values are equal.
+   * @example
+   * runner.diff({ items: [{ price: 10 }] }, { items: [{ price: 12 }] });
+   * // [{ path: "items[0].price", kind: "changed", actual: 10, expected: 12, message: "items[0].price: 10 !== 12" }]
+   */
+  diff(actual, expected, { all = true, ...options } = {}) {
+    const trace = { diffs: [], all };
+    this.#deepEqual(actual, expected, new Map(), trace, "", equalityOptions(options));
+    return trace.diffs;
+  }
+
+  /**
+   * Saves the snapshots as a JSON file through the browser's download mechanism, e.g. to commit them or to
+   * share them with another browser, which can load them with loadSnapshots().
+   * @param {string} [filename] - The name of the file. Defaults to the test file's name with `.snap.json`.
+   */
+  downloadSnapshots(filename = snapshotURL(this.#testFileURL ?? location.href).pathname.split("/").pop()) {
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(new Blob([snapshotJSON(this.#snapshots ?? {})], { type: "application/json" }));
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  /**
+   * Starts a fluent assertion about a value. Use inside a test function; a matcher that does not
+   * hold throws an AssertionError, which is reported as a 'fail' with the matcher's message.
+   * @param {*} actual - The value to make assertions about.
+   * @returns {Expectation} An object with matchers such as `toBe`, `toEqual` and `toThrow`, and the modifiers `not`, `resolves` and `rejects`.
+   * @example
+   * test("parses numbers", () => {
+   *   expect(parse("42")).toBe(42);
+   *   expect(() => parse("")).toThrow(SyntaxError, "Unexpected end of input");
+   * });
+   */
+  expect(actual) {
+    return new Expectation(actual, this);
+  }
+
+  /**
+   * Creates a standalone mock function. It records every call and behaves like `implementation`
+   * until told otherwise.
+   * - Records: `callCount`, `calls` (the arguments of each call), `thisValues` and `results`
+   *   (`{ type: 'return' | 'throw', value }` for each call).
+   * - Behaviours, chainable: `runs(fn)`, `returns(value)`, `resolves(value)`, `rejects(error)`, `throws(error)`,
+   *   and `returnsOnce(value)`, `throwsOnce(error)` and `runsOnce(fn)`, which apply to one call each, in order.
+   * - Checks: `calledWith(...args)`, `lastCalledWith(...args)` and `returned(value)`, which compare with `equal()`,
+   *   `calledTimes(n)`, and `threw(error?)`, which takes an error class, a message or the thrown value.
+   * - `reset()` forgets the recorded calls and queued behaviours. `restore()` does nothing for a standalone mock.
+   * @param {Function} [implementation] - What the mock does when called. Defaults to returning undefined.
+   * @returns {Function} The mock.
+   */
+  fn(implementation) {
+    return createMock(this, implementation);
   }
 
   /**
@@ -118,16 +409,19 @@ export default class ATestRunner {
   }
 
   /**
-   * Groups a set of tests under a common description.
+   * Groups a set of tests under a common description. Groups can be nested by calling group() inside the callback.
+   * The group keeps its place in the queue; its callback is called after the current synchronous code has finished.
+   * Use `group.only()` to run only this group, and any other `only` tests or groups, and `group.each(table)` to
+   * define the same group for each row of a table (see `test.each()`); the callback receives the row's parameters.
    * @param {string} gist - The description for the group.
    * @param {Function} testsFn - A function that contains the tests to be grouped.
+   * @param {object} [options={}] - Options for the group.
+   * @param {boolean} [options.concurrent] - True to run the group's tests at the same time, false to run them one by one.
+   *   If omitted, the group runs its tests like its enclosing group; the top level follows the runner's `concurrency`.
+   * @param {number} [options.maxConcurrency] - With `concurrent`, the maximum number of tests to run at the same time.
    */
-  group(gist, testsFn) {
-    this.#promiseChain = this.#promiseChain.then(async () => {
-      this.#testQueue.push({ type: "group_start", payload: { gist } });
-      await testsFn();
-      this.#testQueue.push({ type: "group_end", payload: {} });
-    });
+  group(gist, testsFn, options = {}) {
+    this.#addGroup(gist, testsFn, options);
   }
 
   /**
@@ -143,7 +437,7 @@ export default class ATestRunner {
     const code = context.code ?? null;
     const line = context.line ?? this.currentLine ?? (this.#testFileURL ? this.#getLine() : null);
     gist = context.gist ? context.gist : (code ? `Failed to execute:\n${code}` : "Error during setup");
-    this.#testQueue.push({ type: "test", payload: { gist, testFn: error, expect: null, line, verdict: "error" } });
+    this.#currentGroup.children.push({ type: "test", payload: { gist, testFn: error, expect: null, line, verdict: "error" } });
   }
 
   /**
@@ -151,7 +445,21 @@ export default class ATestRunner {
    * @param {string} message - The message to report.
    */
   info(message) {
-    this.#testQueue.push({ type: "info", payload: { message } });
+    this.#currentGroup.children.push({ type: "info", payload: { message } });
+  }
+
+  /**
+   * Replaces the stored snapshots, e.g. with a file saved by downloadSnapshots() and chosen with a file input.
+   * In a browser they are kept for the following runs.
+   * @async
+   * @param {Blob|string|object} source - A File or Blob holding JSON, a JSON string, or an object of snapshots by key.
+   * @returns {Promise<void>}
+   */
+  async loadSnapshots(source) {
+    const text = typeof source?.text === "function" ? await source.text() : source;
+    this.#snapshots = typeof text === "string" ? JSON.parse(text) : { ...text };
+    this.#snapshotsChanged = true;
+    await this.#saveSnapshots();
   }
 
   /**
@@ -160,7 +468,59 @@ export default class ATestRunner {
    * @param {*} message - The object or value to log.
    */
   log(verdict, message) {
-    this.#testQueue.push({ type: "custom_log", payload: { verdict, message } });
+    this.#currentGroup.children.push({ type: "custom_log", payload: { verdict, message } });
+  }
+
+  /**
+   * Compares a value with the snapshot stored for it. The first time, or when `updateSnapshots` is on, the value
+   * is stored instead and the call passes. Snapshots are stored per test file, next to it when running headless
+   * and in the browser's localStorage otherwise. Values are serialized readably: Maps, Sets, Dates, errors and
+   * DOM elements, as HTML, are supported.
+   * Within a test that runs on its own, snapshots are named after the test's group path and gist, numbered by call
+   * or followed by `name`. Elsewhere, e.g. in a concurrent group, `name` is required and used on its own.
+   * @param {*} value - The value to compare.
+   * @param {string} [name] - The name of the snapshot.
+   * @returns {boolean} True if the value matches or was stored.
+   * @throws {AssertionError} If the value does not match the stored snapshot.
+   * @throws {Error} If the runner has no test file URL, is not running, or cannot tell which test is calling.
+   * @example
+   * test("renders the card", async () => matchSnapshot(await renderCard({ title: "Hi" })), true);
+   */
+  matchSnapshot(value, name) {
+    if (!this.#testFileURL) throw new Error("matchSnapshot() needs the test file URL: create the runner with new ATestRunner(import.meta.url).");
+    if (!this.#snapshots) throw new Error("matchSnapshot() can only be called while the tests are running.");
+    const test = this.#currentTest;
+    if (!test && name === undefined) throw new Error("matchSnapshot() needs a name when the test does not run on its own, e.g. in a concurrent group.");
+
+    const key = !test ? name : (name === undefined ? `${test.key} ${++test.calls}` : `${test.key}: ${name}`);
+    const actual = serialize(value);
+    const stored = this.#snapshots[key];
+    if (stored === actual) return true;
+    if (stored === undefined || this.updateSnapshots) {
+      this.#snapshots[key] = actual;
+      this.#snapshotsChanged = true;
+      return true;
+    }
+    throw new AssertionError(`Snapshot "${key}" does not match. Turn on updateSnapshots to accept the new value.`,
+      { actual, expected: stored, matcher: "matchSnapshot", diff: lineDiff(actual, stored) });
+  }
+
+  /**
+   * Replaces every method of an object, including inherited ones other than those of `Object.prototype`,
+   * with a mock that returns undefined. The methods are restored like those of spyOn().
+   * @param {object} obj - The object to mock.
+   * @returns {object.<string, Function>} The mocks, by method name.
+   */
+  mockObject(obj) {
+    const mocks = {};
+    for (let proto = obj; proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+      for (const name of Object.getOwnPropertyNames(proto)) {
+        const { value } = Object.getOwnPropertyDescriptor(proto, name);
+        if (name === "constructor" || name in mocks || typeof value !== "function") continue;
+        mocks[name] = this.spyOn(obj, name).returns(undefined);
+      }
+    }
+    return mocks;
   }
 
   /**
@@ -181,6 +541,52 @@ export default class ATestRunner {
     return this.benchmark(fn, iterations, context, ...args);
   }
 
+  /**
+   * Adds a test that checks a property against `runs` randomly generated inputs. The predicate is called with an
+   * object holding a value from each arbitrary; the property fails if it returns false or throws. A failing input
+   * is shrunk to a minimal counterexample, and the failure reports the seed, which replays the same inputs when
+   * passed back as the `seed` option.
+   * @param {string} gist - The description of the property.
+   * @param {object.<string, Arbitrary|Array<*>|*>} arbitraries - An arbitrary for each key of the predicate's
+   *   argument. As in `genCombos()`, an array stands for one of its elements and any other value for itself.
+   * @param {Function} predicate - The property. It may be async.
+   * @param {object} [options={}] - Options for the property, and any option of `test()`.
+   * @param {number} [options.runs=100] - The number of inputs to try.
+   * @param {number} [options.seed] - The seed of the random inputs. Defaults to a new random seed.
+   */
+  property(gist, arbitraries, predicate, { runs = 100, seed = Math.floor(Math.random() * 2 ** 32), ...options } = {}) {
+    const arbitrary = arb.record(arbitraries);
+    this.test(gist, () => checkProperty(arbitrary, predicate, { runs, seed }), true, options);
+  }
+
+  /**
+   * Clears the queued tests, groups and hooks and the state left by the last run, including the final verdict,
+   * so the runner can be given new tests and run again. Settings such as `output`, added reporters and
+   * `timeout` are kept. Spies and fake timers that are still installed are restored.
+   * @throws {Error} If a run is in progress.
+   */
+  reset() {
+    if (this.#running) throw new Error("reset() cannot be called while the runner is running.");
+    [...this.#mocks].reverse().forEach(entry => entry.restore());
+    this.#clock?.restore();
+    this.#testQueue = [];
+    this.#rootGroup = { gist: null, children: this.#testQueue, hooks: this.#createHooks() };
+    this.#currentGroup = this.#rootGroup;
+    this.#mockOwner = this.#rootGroup;
+    this.#promiseChain = Promise.resolve();
+    this.#finalVerdict = "pass";
+    this.#processedCount = 0;
+    this.#summary = null;
+    this.#openGroups = [];
+    this.#selection = null;
+    this.#currentTest = null;
+    this.#snapshots = null;
+    this.#snapshotsChanged = false;
+    this.#baselines = null;
+    this.#baselinesChanged = false;
+    this.#runPromise = null;
+  }
+
   /**
    * Adds a test to the queue that will be marked as 'skipped'.
    * @param {string} gist - The description of the test.
@@ -189,48 +595,78 @@ export default class ATestRunner {
    */
   skip(gist, testFn, expect) {
     const line = this.currentLine ?? (this.#testFileURL ? this.#getLine() : null);
-    this.#testQueue.push({ type: "skip", payload: { gist, testFn, expect, line, verdict: "skip" } });
+    this.#currentGroup.children.push({ type: "skip", payload: { gist, testFn, expect, line, verdict: "skip" } });
   }
 
   /**
-   * Creates a spy on a method of an object.
-   * @param {object} obj - The object containing the method to spy on.
-   * @param {string} methodName - The name of the method to spy on.
-   * @returns {object} A spy object with methods like `restore`, `runs`, `returns`, and properties like `callCount`.
-   * @throws {Error} If the specified method is not a function.
+   * Replaces a method of an object with a mock that records its calls and, until told otherwise, calls the original.
+   * With `accessType` 'get' or 'set', spies on the getter or setter of a property instead; a plain data property
+   * is turned into an accessor for the duration of the spy.
+   * The original is put back by `restore()`, or automatically when the test, or the group, that created the spy
+   * finishes. Spies created while tests in a concurrent group are running are restored when the group finishes.
+   * @param {object} obj - The object containing the method or property to spy on.
+   * @param {string} methodName - The name of the method or property.
+   * @param {string} [accessType] - 'get' or 'set' to spy on a property accessor.
+   * @returns {Function} The mock. See fn() for its properties and methods.
+   * @throws {Error} If the specified method is not a function, or the property does not exist.
    */
-  spyOn(obj, methodName) {
-    const originalMethod = obj[methodName];
-    if (typeof originalMethod !== 'function') {
-      throw new Error(`'${methodName}' must be a function on the object.`);
+  spyOn(obj, methodName, accessType) {
+    const ownDescriptor = Object.getOwnPropertyDescriptor(obj, methodName);
+    const descriptor = ownDescriptor ?? findDescriptor(obj, methodName);
+    let mock;
+
+    if (accessType === "get" || accessType === "set") {
+      if (!descriptor) throw new Error(`'${methodName}' is not a property of the object.`);
+      let value = descriptor.value;
+      const get = descriptor.get ?? (() => value);
+      const set = descriptor.set ?? (newValue => { value = newValue; });
+      mock = createMock(this, accessType === "get" ? get : set);
+      Object.defineProperty(obj, methodName, {
+        configurable: true,
+        enumerable: descriptor.enumerable,
+        get: accessType === "get" ? mock : get,
+        set: accessType === "set" ? mock : set
+      });
+    } else {
+      if (typeof obj[methodName] !== 'function') {
+        throw new Error(`'${methodName}' must be a function on the object.`);
+      }
+      mock = createMock(this, obj[methodName]);
+      obj[methodName] = mock;
     }
 
-    let currentImplementation = originalMethod;
-    const spy = {
-      callCount: 0,
-      calls: [],
-      restore: () => { obj[methodName] = originalMethod; },
-      runs(fn) { currentImplementation = fn; return this; },
-      returns(value) { currentImplementation = () => value; return this; },
-      resolves(value) { currentImplementation = () => Promise.resolve(value); return this; },
-      rejects(error) { currentImplementation = () => Promise.reject(error); return this; }
+    const restore = () => {
+      if (ownDescriptor) Object.defineProperty(obj, methodName, ownDescriptor);
+      else delete obj[methodName];
+      this.#mocks = this.#mocks.filter(entry => entry.restore !== restore);
     };
-    obj[methodName] = function (...args) { spy.callCount++; spy.calls.push(args);
-    return currentImplementation.apply(this, args); };
-    return spy;
+    this.#mocks.push({ restore, owner: this.#mockOwner });
+    mock.restore = restore;
+    return mock;
   }
 
   /**
    * Adds a test case to the execution queue.
+   * Use `test.each(table)(gist, testFn, expect, options)` to add the test once for each row of a table: an array
+   * or iterable of arrays, objects or single values, such as `genCombos()`. The test function is called with the
+   * row's values (an object row is one argument), and the gist can include them: `%s`, `%d`, `%i` and `%j` use
+   * the next value of an array row, `$name` a key of an object row, `%#` the row's index and `%%` a percent sign.
+   * Each result carries the row as `params`.
    * @param {string} gist - The description of the test.
    * @param {Function|*} testFn - The function to execute or a value to test.
    * @param {*} expect - The expected result of the test function.
    * @param {object} [options={}] - Additional options for the test.
-   * @param {number} [options.timeout] - A specific timeout for this test in milliseconds.
+   * @param {number} [options.timeout] - A specific timeout for this test in milliseconds. It applies to each attempt.
+   * @param {number} [options.retries] - How many times to retry this test if it fails or errors, instead of the runner's `retries`.
+   * @param {boolean} [options.only] - Run only this test, and any other `only` tests or groups. `test.only()` sets this.
+   * @param {boolean} [options.serial] - Wait for the tests before this one and run it alone, even in a concurrent group. `test.serial()` sets this.
+   * @param {*} [options.params] - The parameters reported with the result. Defaults to those of the enclosing `group.each()` row.
+   * @param {number} [options.baselineTolerance] - The `baselineTolerance` for the benchmarks in this test.
+   * @param {object} [options.equality] - Options of `equal()` for comparing the result with `expect`.
    */
   test(gist, testFn, expect, options = {}) {
-    const payload = { gist, testFn, expect, line: this.currentLine ?? (this.#testFileURL ? this.#getLine() : null), ...options };
-    this.#testQueue.push({ type: "test", payload });
+    const payload = { gist, testFn, expect, line: this.currentLine ?? (this.#testFileURL ? this.#getLine() : null), params: this.#currentGroup.params, ...options };
+    this.#currentGroup.children.push({ type: "test", payload });
   }
 
   /**
@@ -248,6 +684,40 @@ export default class ATestRunner {
     }
   }
 
+  /**
+   * Adds a placeholder for a test that has yet to be written. It is reported with the verdict 'todo'
+   * and counted separately in the summary.
+   * @param {string} gist - The description of the test.
+   */
+  todo(gist) {
+    const line = this.currentLine ?? (this.#testFileURL ? this.#getLine() : null);
+    this.#currentGroup.children.push({ type: "test", payload: { gist, testFn: null, expect: undefined, line, verdict: "todo" } });
+  }
+
+  /**
+   * Replaces `setTimeout`, `setInterval`, `requestAnimationFrame`, their clear functions and `Date` with fakes
+   * driven by a clock that only moves when the test advances it. The real timers are put back when the test
+   * and its afterEach hooks finish, or by calling `restore()`. A clock installed by a beforeAll hook is put back
+   * when the group's afterAll hooks finish, and one installed outside a run when the next run finishes. The runner's own timeouts, `wait()` and `when()`
+   * keep using the real timers. Calling it again before the clock is restored returns the same clock.
+   * The fakes are global, so no other test starts while the clock is installed.
+   * @param {object} [options={}] - Options for the clock.
+   * @param {Date|number|string} [options.now=Date.now()] - The initial time of the clock.
+   * @returns {FakeClock} The clock, with `tick(ms)`, `runAll()`, `runOnlyPending()`, `setSystemTime(date)` and `restore()`.
+   * @throws {Error} If other tests are running at the same time, in a concurrent group.
+   */
+  useFakeTimers({ now = realTimers.Date.now() } = {}) {
+    if (this.#clock) return this.#clock;
+    if (this.#runningTests.size > 1) {
+      throw new Error("useFakeTimers() cannot be used while other tests are running at the same time. Use test.serial(), or a group that is not concurrent.");
+    }
+    this.#clockOwner = [...this.#runningTests][0] ?? this.#mockOwner;
+    this.#clock = new FakeClock(new realTimers.Date(now).getTime(), clock => {
+      if (this.#clock === clock) this.#clock = this.#clockOwner = null;
+    });
+    return this.#clock.install();
+  }
+
   /**
    * Pauses execution for a specified number of milliseconds.
    * @async
@@ -255,7 +725,7 @@ export default class ATestRunner {
    * @returns {Promise<void>} A promise that resolves after the delay.
    */
   async wait(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    return new Promise(resolve => realTimers.setTimeout(resolve, ms));
   }
 
   /**
@@ -268,10 +738,10 @@ export default class ATestRunner {
    * @throws {Error} If the condition function throws an error.
    */
   async when(condition, timeout = 1000, pollInterval = 100) {
-    const startTime = Date.now();
+    const startTime = realTimers.Date.now();
     const check = typeof condition === 'function' ? async () => condition() : async () => condition;
     while (true) {
-      if (Date.now() - startTime >= timeout) return await check();
+      if (realTimers.Date.now() - startTime >= timeout) return await check();
       try {
         const result = await check();
         if (result) return result;
@@ -283,15 +753,50 @@ export default class ATestRunner {
   }
 
   /**
-   * Starts the test execution process.
-   * @async
+   * Starts the test execution process. Calling it again while a run is in progress returns the same promise;
+   * calling it after a run has finished runs the queued tests again from a clean state.
+   * If `signal` is aborted, no further tests start: the tests already running finish, the remaining ones are
+   * reported as 'cancelled' and the final verdict is 'fail'.
+   * While ATestOrchestrator imports a test file, the run waits for the runs the file's other runners asked for first.
+   * @param {object} [options={}] - Options.
+   * @param {AbortSignal} [options.signal] - Cancels the run when aborted.
+   * @returns {Promise<string>} A promise that resolves with the final verdict once every test has been reported.
    */
-  async run() {
-    await this.#promiseChain;
-    await this.#initializeOutput();
-    this.#reporter.progress(0, this.#testQueue.length);
-    await this.#processQueue();
-    this.#reporter.complete(this.#finalVerdict);
+  run({ signal } = {}) {
+    if (this.#running) return this.#runPromise;
+    this.#running = true;
+    this.#signal = signal ?? null;
+    const start = () => (async () => {
+      const start = performance.now();
+      this.#finalVerdict = "pass";
+      await this.#settleDefinitions();
+      await this.#initializeOutput();
+      this.#selectTests();
+      await this.#loadStoredSnapshots();
+      await this.#loadStoredBaselines();
+      this.#processedCount = 0;
+      this.#summary = { ...this.#createCounts(), groups: [] };
+      this.#activeReporters = [this.#reporter, ...this.#addedReporters];
+      const total = this.#countItems(this.#testQueue);
+      this.#emit("progress", 0, total);
+      await this.#processQueue(this.#rootGroup, [], { before: [], after: [] }, this.concurrency, total);
+      this.#clock?.restore();
+      await this.#saveSnapshots().catch(error => this.#reportResult({ type: "test", gist: "Could not save the snapshots", verdict: "error", result: error, expect: null, line: null, path: [] }));
+      await this.#saveBaselines().catch(error => this.#reportResult({ type: "test", gist: "Could not save the baselines", verdict: "error", result: error, expect: null, line: null, path: [] }));
+      this.#summary.duration = performance.now() - start;
+      this.#emit("complete", this.#finalVerdict, this.#summary);
+      return this.#finalVerdict;
+    })().finally(() => {
+      this.#running = false;
+      this.#signal = null;
+    });
+    if (fileRuns && ATestRunner.registry?.includes(this)) {
+      this.#runPromise = fileRuns.then(start);
+      fileRuns = this.#runPromise.catch(() => {});
+    } else {
+      this.#runPromise = start();
+    }
+    return this.#runPromise;
   }
 
   // --- Private Methods ---
@@ -305,6 +810,286 @@ export default class ATestRunner {
     this.#promiseChain = this.#promiseChain.then(fn);
   }
 
+  /**
+   * Adds a group to the current group and defers its callback.
+   * @private
+   * @param {string} gist - The description for the group.
+   * @param {Function} testsFn - A function that contains the tests to be grouped.
+   * @param {object} options - The group options, including `only` for `group.only()` and `params` for `group.each()`.
+   */
+  #addGroup(gist, testsFn, options) {
+    const { only = false, concurrent, maxConcurrency, params = this.#currentGroup.params } = options;
+    const item = { type: "group", payload: { gist, children: [], hooks: this.#createHooks(), only, concurrent, maxConcurrency, params } };
+    this.#currentGroup.children.push(item);
+    this.#enqueue(async () => {
+      const parentGroup = this.#currentGroup;
+      const parentOwner = this.#mockOwner;
+      this.#currentGroup = item.payload;
+      this.#mockOwner = item.payload;
+      try {
+        await testsFn();
+      } catch (error) {
+        this.handleError(error, { gist: `Error while defining group "${gist}"` });
+      } finally {
+        this.#currentGroup = parentGroup;
+        this.#mockOwner = parentOwner;
+      }
+    });
+  }
+
+  /**
+   * Creates the function returned by `test.each()`, which adds a test for each row of the table.
+   * @private
+   * @param {Iterable<*>} table - The rows.
+   * @returns {Function} Takes the arguments of `test()` and adds the tests.
+   * @throws {TypeError} If the table is not iterable.
+   */
+  #eachTest(table) {
+    const rows = eachRows(table, "test.each()");
+    return (gist, testFn, expect, options = {}) => {
+      const line = this.currentLine ?? (this.#testFileURL ? this.#getLine() : null);
+      rows.forEach((row, index) => {
+        const args = Array.isArray(row) ? row : [row];
+        const rowFn = typeof testFn === "function" ? context => testFn(...args, context) : testFn;
+        this.test(interpolateGist(gist, row, index), rowFn, expect, { line, ...options, params: row });
+      });
+    };
+  }
+
+  /**
+   * Creates the function returned by `group.each()`, which adds a group for each row of the table.
+   * @private
+   * @param {Iterable<*>} table - The rows.
+   * @returns {Function} Takes the arguments of `group()` and adds the groups.
+   * @throws {TypeError} If the table is not iterable.
+   */
+  #eachGroup(table) {
+    const rows = eachRows(table, "group.each()");
+    return (gist, testsFn, options = {}) => {
+      rows.forEach((row, index) => {
+        const args = Array.isArray(row) ? row : [row];
+        this.#addGroup(interpolateGist(gist, row, index), () => testsFn(...args), { ...options, params: row });
+      });
+    };
+  }
+
+  /**
+   * Creates a set of zeroed result counts.
+   * @private
+   * @returns {object} An object with `passed`, `flaky`, `failed`, `errored`, `skipped`, `todo`, `cancelled`, `total` and `duration`.
+   */
+  #createCounts() {
+    return { ...ZERO_COUNTS, duration: 0 };
+  }
+
+  /**
+   * Creates an empty set of lifecycle hooks for a group.
+   * @private
+   * @returns {object} An object with `beforeAll`, `afterAll`, `beforeEach` and `afterEach` arrays.
+   */
+  #createHooks() {
+    return { beforeAll: [], afterAll: [], beforeEach: [], afterEach: [] };
+  }
+
+  /**
+   * Adds a lifecycle hook to the group currently being defined.
+   * @private
+   * @param {string} type - 'beforeAll', 'afterAll', 'beforeEach' or 'afterEach'.
+   * @param {Function} fn - The hook function.
+   * @throws {Error} If fn is not a function.
+   */
+  #addHook(type, fn) {
+    if (typeof fn !== "function") throw new Error(`${type}() expects a function.`);
+    const line = this.currentLine ?? (this.#testFileURL ? this.#getLine() : null);
+    this.#currentGroup.hooks[type].push({ type, fn, line });
+  }
+
+  /**
+   * Runs hooks in order, stopping at the first one that throws or times out.
+   * @private
+   * @async
+   * @param {Array<object>} hooks - The hooks to run.
+   * @param {Array<string>} path - The group path to attribute errors to.
+   * @param {string} [gist] - The gist of the test the hooks run for, if any.
+   * @param {boolean} [stopOnError=true] - If false, the remaining hooks run even after one fails.
+   * @returns {Promise<Array<object>>} An error result for each hook that failed.
+   */
+  async #runHooks(hooks, path, gist, stopOnError = true) {
+    const errors = [];
+    for (const hook of hooks) {
+      const start = performance.now();
+      try {
+        await this.#withTimeout(async () => hook.fn(), this.timeout, `${hook.type} hook timed out after ${this.timeout}ms`);
+      } catch (error) {
+        errors.push({
+          type: "test",
+          gist: gist ? `${hook.type} hook for "${gist}"` : `${hook.type} hook`,
+          verdict: "error",
+          result: error,
+          expect: null,
+          line: hook.line,
+          path,
+          duration: performance.now() - start
+        });
+        if (stopOnError) break;
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Calls a function and rejects if it has not settled within a time limit.
+   * @private
+   * @param {Function} fn - The function to call. Its return value is awaited.
+   * @param {number} ms - The time limit in milliseconds.
+   * @param {string} message - The message of the error thrown on timeout.
+   * @param {AbortController} [controller] - Aborted with the timeout error when the time limit is reached.
+   * @returns {Promise<*>} The awaited return value of fn.
+   */
+  #withTimeout(fn, ms, message, controller) {
+    let timer;
+    const timeoutPromise = new Promise((_, reject) => {
+      timer = realTimers.setTimeout(() => {
+        const error = new Error(message);
+        controller?.abort(error);
+        reject(error);
+      }, ms);
+    });
+    return Promise.race([Promise.resolve().then(fn), timeoutPromise]).finally(() => realTimers.clearTimeout(timer));
+  }
+
+  /**
+   * Waits for every group callback to finish, including those of groups nested inside other groups.
+   * @private
+   * @async
+   */
+  async #settleDefinitions() {
+    let chain;
+    do {
+      chain = this.#promiseChain;
+      await chain;
+    } while (chain !== this.#promiseChain);
+  }
+
+  /**
+   * Works out which tests to run from `only`, `grep` and, in a browser, the `grep`, `group` and `test` query parameters.
+   * `grep` is matched against the test's group path and gist; `group` against the group path alone. `test` must equal
+   * the group path and gist joined by ` › `, which selects exactly one test.
+   * If none of them applies, every test runs.
+   * @private
+   */
+  #selectTests() {
+    const params = typeof location !== "undefined" ? new URLSearchParams(location.search) : null;
+    const grep = this.grep ?? params?.get("grep") ?? null;
+    const groupFilter = params?.get("group") ?? null;
+    const testFilter = params?.get("test") ?? null;
+    const hasOnly = this.#hasOnly(this.#testQueue);
+    if (!hasOnly && grep === null && groupFilter === null && testFilter === null) {
+      this.#selection = null;
+      return;
+    }
+
+    const selection = new Set();
+    const walk = (queue, path, inOnly) => {
+      for (const item of queue) {
+        const { payload } = item;
+        if (item.type === "group") {
+          walk(payload.children, [...path, payload.gist], inOnly || payload.only);
+        } else if (item.type === "test" && !payload.verdict &&
+          (!hasOnly || inOnly || payload.only) &&
+          (grep === null || matches(grep, [...path, payload.gist].join(" "))) &&
+          (groupFilter === null || matches(groupFilter, path.join(" "))) &&
+          (testFilter === null || [...path, payload.gist].join(" › ") === testFilter)) {
+          selection.add(item);
+        }
+      }
+    };
+    walk(this.#testQueue, [], false);
+    this.#selection = selection;
+  }
+
+  /**
+   * Checks whether a queue contains a test or group marked `only`, descending into groups.
+   * @private
+   * @param {Array<object>} queue - The queue to search.
+   * @returns {boolean} True if one is found.
+   */
+  #hasOnly(queue) {
+    return queue.some(item => item.payload.only || (item.type === "group" && this.#hasOnly(item.payload.children)));
+  }
+
+  /**
+   * Checks whether a group contains a selected test, descending into nested groups.
+   * @private
+   * @param {object} group - The root group or a group item's payload.
+   * @returns {boolean} True if a test in the group will run.
+   */
+  #hasSelected(group) {
+    if (!this.#selection) return true;
+    return group.children.some(item => this.#selection.has(item) || (item.type === "group" && this.#hasSelected(item.payload)));
+  }
+
+  /**
+   * Counts the items in a queue that produce a result, descending into groups.
+   * @private
+   * @param {Array<object>} queue - The queue to count.
+   * @returns {number} The number of items.
+   */
+  #countItems(queue) {
+    return queue.reduce((count, item) => count + (item.type === "group" ? this.#countItems(item.payload.children) : 1), 0);
+  }
+
+  /**
+   * Runs a test item surrounded by the beforeEach and afterEach hooks that apply to it, then restores
+   * any fake timers they installed. A test that fails or errors is retried, with the hooks run again around
+   * each attempt; a failing beforeEach hook ends the retries. Other items are processed without hooks.
+   * @private
+   * @async
+   * @param {object} item - The queue item to process.
+   * @param {object} eachHooks - The hooks that apply to the item.
+   * @param {Array<object>} eachHooks.before - beforeEach hooks, outermost first.
+   * @param {Array<object>} eachHooks.after - afterEach hooks, innermost first.
+   * @param {Array<string>} path - The gists of the enclosing groups.
+   * @returns {Promise<Array<object>>} The item's result, preceded or followed by any hook errors.
+   */
+  async #runItem(item, eachHooks, path) {
+    const { payload } = item;
+    if (item.type !== "test" || payload.verdict) {
+      return [{ ...(await this.#processItem(item)), path }];
+    }
+    if (this.#selection && !this.#selection.has(item)) {
+      return [withParams({ type: "test", gist: payload.gist, verdict: "skip", result: "Not executed: filtered out", expect: payload.expect, line: payload.line, path, duration: 0 }, payload.params)];
+    }
+
+    this.#runningTests.add(item);
+    const start = performance.now();
+    const retries = payload.retries ?? this.retries;
+    const attempts = [];
+    const results = [];
+    let afterErrors = [];
+    try {
+      do {
+        results.push(...afterErrors);
+        if (this.#currentTest) Object.assign(this.#currentTest, { calls: 0, measurements: [] });
+        const beforeErrors = await this.#runHooks(eachHooks.before, path, payload.gist);
+        results.push(...beforeErrors);
+        if (!beforeErrors.length) attempts.push(await this.#evaluateTest(payload));
+        afterErrors = await this.#runHooks(eachHooks.after, path, payload.gist, false);
+        if (beforeErrors.length) break;
+      } while ((attempts.at(-1).verdict === "fail" || attempts.at(-1).verdict === "error") && attempts.length <= retries);
+    } finally {
+      this.#runningTests.delete(item);
+    }
+    if (attempts.length) {
+      results.push({ ...this.#settleTest(payload, attempts, performance.now() - start), path });
+    } else {
+      results.push(withParams({ type: "test", gist: payload.gist, verdict: "skip", result: "Not executed: a beforeEach hook failed", expect: payload.expect, line: payload.line, path, duration: 0 }, payload.params));
+    }
+    results.push(...afterErrors);
+    if (this.#clockOwner === item) this.#clock?.restore();
+    return results;
+  }
+
   /**
    * Processes a single item from the test queue.
    * @private
@@ -326,34 +1111,74 @@ export default class ATestRunner {
   }
 
   /**
-   * Executes a single test, handling timeouts and errors.
+   * Executes a single attempt of a test, without hooks or retries, and records how long it took.
    * @private
    * @async
    * @param {object} payload - The payload of the test item.
-   * @returns {Promise<object>} A promise that resolves with the final result object for the test.
+   * @returns {Promise<object>} The result object, as from `#settleTest()`.
    */
   async #executeTest(payload) {
+    const start = performance.now();
+    const result = await this.#evaluateTest(payload);
+    return this.#settleTest(payload, [result], payload.verdict ? 0 : performance.now() - start);
+  }
+
+  /**
+   * Combines the attempts of a test into its result. A test that passes on a retry gets the verdict 'flaky'.
+   * A test that was retried has `attempts`, the number of times it ran, and `attemptResults`, the verdict, result
+   * and message of each attempt. A test whose benchmark times moved further from their baselines than the
+   * tolerance gets the verdict 'regressed' if any became slower, otherwise 'improved'.
+   * @private
+   * @param {object} payload - The payload of the test item.
+   * @param {Array<object>} attempts - The result of each attempt, from `#evaluateTest()`.
+   * @param {number} duration - The milliseconds taken by every attempt and the hooks around them.
+   * @returns {object} The result object, with `duration`, and `slow` set if it reached `slowThreshold`.
+   *   Benchmarks are never slow.
+   */
+  #settleTest(payload, attempts, duration) {
+    let result = attempts.at(-1);
+    if (attempts.length > 1) {
+      const attemptResults = attempts.map(({ verdict, result, message }) => ({ verdict, result, message }));
+      result = { ...result, verdict: result.verdict === "pass" ? "flaky" : result.verdict, attempts: attempts.length, attemptResults };
+    }
+    if ((result.verdict === "pass" || result.verdict === "flaky") && this.#currentTest?.measurements.length) {
+      result = this.#compareBaselines(result, this.#currentTest.measurements, payload.baselineTolerance ?? this.baselineTolerance);
+    }
+    if (payload.bench && result.verdict !== "error") result = { ...result, result: this.#currentTest.stats, bench: true };
+    return withParams({ ...result, duration, slow: !payload.bench && duration >= this.slowThreshold }, payload.params);
+  }
+
+  /**
+   * Evaluates a single test, handling timeouts and errors.
+   * @private
+   * @async
+   * @param {object} payload - The payload of the test item.
+   * @returns {Promise<object>} A promise that resolves with the final result object for the test.
+   */
+  async #evaluateTest(payload) {
     const { gist, testFn, expect, line, verdict, timeout: testTimeout } = payload;
     const timeoutDuration = testTimeout ?? this.timeout;
 
     try {
       // Handle pre-determined verdicts (skip, error)
       if (verdict) {
-        return { type: "test", gist, verdict, result: verdict === "error" ? testFn : "Not executed", expect, line };
+        return { type: "test", gist, verdict, result: verdict === "error" ? testFn : (verdict === "todo" ? "Not implemented" : "Not executed"), expect, line };
       }
 
-      const timeoutPromise = new Promise((_, reject) => setTimeout(() => reject(new Error(`Test timed out after ${timeoutDuration}ms`)), timeoutDuration));
-
-      const executionPromise = (async () => {
-        const result = (typeof testFn === 'function') ? testFn() : testFn;
+      const controller = new AbortController();
+      return await this.#withTimeout(async () => {
+        const result = (typeof testFn === 'function') ? testFn({ signal: controller.signal }) : testFn;
         if (result instanceof Error) return { type: "test", gist, verdict: "error", result, expect, line };
         const finalResult = await result;
-        const finalVerdict = this.equal(finalResult, expect) ? "pass" : "fail";
-        return { type: "test", gist, verdict: finalVerdict, result: finalResult, expect, line };
-      })();
-
-      return await Promise.race([executionPromise, timeoutPromise]);
+        if (this.equal(finalResult, expect, payload.equality)) return { type: "test", gist, verdict: "pass", result: finalResult, expect, line };
+        const failure = { type: "test", gist, verdict: "fail", result: finalResult, expect, line };
+        if (isObject(finalResult) || isObject(expect)) failure.diff = this.diff(finalResult, expect, payload.equality);
+        return failure;
+      }, timeoutDuration, `Test timed out after ${timeoutDuration}ms`, controller);
     } catch (error) {
+      if (error instanceof AssertionError) {
+        return { type: "test", gist, verdict: "fail", result: error.actual, expect: error.expected, line, message: error.message, diff: error.diff };
+      }
       return { type: "test", gist, verdict: "error", result: error, expect, line };
     }
   }
@@ -377,86 +1202,348 @@ export default class ATestRunner {
   }
 
   /**
-   * Processes the entire test queue, handling groups and reporting.
+   * Processes a group's queue, recursing into nested groups. Up to `limit` tests run at the same time;
+   * a test marked `serial` waits for the tests before it and runs alone. Results are reported in the
+   * order the tests were defined.
+   * The group's beforeAll hooks run first and its afterAll hooks run last. If a beforeAll hook fails,
+   * the tests in the group are reported as skipped. The hooks do not run if no test in the group is selected.
+   * Once the run's signal is aborted, no further items start and the rest of the queue is reported as cancelled.
+   * Spies created by a test that runs on its own are restored when it finishes; other spies created while
+   * defining or running the group are restored when the group finishes.
    * @private
    * @async
+   * @param {object} group - The group to process: the root group or a group item's payload.
+   * @param {Array<string>} path - The gists of this group and its enclosing groups, outermost first.
+   * @param {object} inheritedHooks - The beforeEach and afterEach hooks of the enclosing groups.
+   * @param {number} limit - The maximum number of tests to run at the same time.
+   * @param {number} total - The total number of items in the run, for progress reporting.
+   * @returns {Promise<string>} 'fail' if any result in the group failed or errored, otherwise 'pass'.
    */
-  async #processQueue() {
-    const resultsInGroups = [[]];
-    let inGroup = false;
+  async #processQueue(group, path, inheritedHooks, limit, total) {
+    const { children, hooks } = group;
+    const eachHooks = {
+      before: [...inheritedHooks.before, ...hooks.beforeEach],
+      after: [...hooks.afterEach, ...inheritedHooks.after]
+    };
+    const batch = [];
+    const running = new Set();
+    const parentOwner = this.#mockOwner;
+    this.#mockOwner = group;
+    let verdict = "pass";
+    const flush = async () => {
+      if (!(await this.#reportBatch(batch.splice(0), total))) verdict = "fail";
+    };
 
-    for (const [index, item] of this.#testQueue.entries()) {
-      switch (item.type) {
-        case "group_start":
-          this.#reporter.groupStart(item.payload.gist);
-          inGroup = true;
-          break;
-        case "group_end":
-          const currentGroup = resultsInGroups[resultsInGroups.length - 1];
-          await this.#reportBatch(currentGroup);
-          currentGroup.length = 0;
-          this.#reporter.groupEnd();
-          inGroup = false;
+    const selected = this.#hasSelected(group) && !this.#signal?.aborted;
+    const setupErrors = selected ? await this.#runHooks(hooks.beforeAll, path) : [];
+    if (setupErrors.length) {
+      verdict = "fail";
+      setupErrors.forEach(error => this.#reportResult(error));
+      await this.#skipQueue(children, path, "skip", "Not executed: a beforeAll hook failed", total);
+    } else {
+      for (const [index, item] of children.entries()) {
+        if (this.#signal?.aborted) {
+          await flush();
+          if (await this.#skipQueue(children.slice(index), path, "cancelled", "Not executed: the run was aborted", total) === "fail") verdict = "fail";
           break;
-        default:
-          const resultPromise = this.#processItem(item);
-          if (inGroup) {
-            resultsInGroups[resultsInGroups.length - 1].push(resultPromise);
-          } else {
-            const result = await resultPromise;
-            this.#reportResult(result);
-          }
+        }
+        if (item.type === "group") {
+          await flush();
+          const { gist, concurrent, maxConcurrency } = item.payload;
+          const groupPath = [...path, gist];
+          const groupLimit = concurrent === undefined ? limit : (concurrent ? maxConcurrency ?? Infinity : 1);
+          if (await this.#reportGroup(gist, groupPath, () => this.#processQueue(item.payload, groupPath, eachHooks, groupLimit, total)) === "fail") verdict = "fail";
+          continue;
+        }
+
+        const serial = limit === 1 || item.payload.serial;
+        if (serial) await flush();
+        // Fake timers are global, so nothing else starts until the test that installed them finishes.
+        while (running.size >= limit || (this.#clock && running.size)) await Promise.race(running);
+        if (serial) {
+          this.#mockOwner = item;
+          this.#currentTest = { key: [...path, item.payload.gist].join(" › "), calls: 0, measurements: [] };
+        }
+        const promise = this.#runItem(item, eachHooks, path);
+        running.add(promise);
+        promise.finally(() => running.delete(promise)).catch(() => {});
+        batch.push(promise);
+        if (serial) {
+          await flush();
+          this.#restoreMocks(item);
+          this.#mockOwner = group;
+          this.#currentTest = null;
+        }
       }
-      this.#reporter.progress(index + 1, this.#testQueue.length);
     }
+    await flush();
+
+    const teardownErrors = selected ? await this.#runHooks(hooks.afterAll, path, undefined, false) : [];
+    if (this.#clockOwner === group) this.#clock?.restore();
+    this.#restoreMocks(group);
+    this.#mockOwner = parentOwner;
+    if (teardownErrors.length) verdict = "fail";
+    teardownErrors.forEach(error => this.#reportResult(error));
+    return verdict;
   }
 
   /**
-   * Waits for a batch of promises to resolve and then reports each result.
+   * Reports a nested group: emits its groupStart event, processes it while counting its results, and emits
+   * its groupEnd event with the counts.
    * @private
    * @async
-   * @param {Array<Promise<object>>} promiseBatch - An array of promises that resolve to result objects.
+   * @param {string} gist - The group's gist.
+   * @param {Array<string>} path - The gists of the group and its enclosing groups, outermost first.
+   * @param {Function} process - Processes the group's queue and resolves with its verdict.
+   * @returns {Promise<string>} The group's verdict.
    */
-  async #reportBatch(promiseBatch) {
-    const results = await Promise.all(promiseBatch);
-    for (const result of results) {
-      this.#reportResult(result);
-    }
+  async #reportGroup(gist, path, process) {
+    const start = performance.now();
+    const counts = this.#createCounts();
+    this.#openGroups.push(counts);
+    this.#emit("groupStart", gist, path);
+    const verdict = await process();
+    this.#openGroups.pop();
+    const groupResult = { gist, path, verdict, ...counts, duration: performance.now() - start };
+    this.#summary.groups.push(groupResult);
+    this.#emit("groupEnd", groupResult);
+    return verdict;
   }
 
   /**
-   * Reports a single result using the configured reporter.
+   * Restores the spies owned by a group or test, newest first so that spies on the same method unwind in order.
    * @private
-   * @param {object} result - The result object to report.
+   * @param {object} owner - The group payload or test item.
    */
-  #reportResult(result) {
-    if (result.verdict === "fail" || result.verdict === "error") {
-      this.#finalVerdict = "fail";
-    }
-    if (!this.onlyFailed || result.verdict !== "pass") {
-      this.#reporter.report(result);
-    }
+  #restoreMocks(owner) {
+    this.#mocks.filter(entry => entry.owner === owner).reverse().forEach(entry => entry.restore());
   }
 
   /**
-   * Initializes the output reporter based on the `output` configuration.
+   * Loads the snapshots stored for the test file: from the snapshot file next to it when running in Node.js,
+   * otherwise from localStorage. Also turns on `updateSnapshots` if the page's URL asks for it.
    * @private
    * @async
-   * @throws {Error} If the specified DOM target is not found.
    */
-  async #initializeOutput() {
-    if (this.#outputConfig === 'console' || this.#outputConfig === null) {
-      this.#outputTarget = 'console';
-      this.#reporter = new ConsoleReporter();
-      return;
-    }
-
-    let element;
-    if (this.#outputConfig instanceof HTMLElement) {
-      element = this.#outputConfig;
-    } else if (typeof this.#outputConfig === 'string') {
-      element = document.querySelector(this.#outputConfig);
-    }
+  async #loadStoredSnapshots() {
+    this.#snapshotsChanged = false;
+    this.#snapshots = {};
+    if (typeof location !== "undefined" && new URLSearchParams(location.search).has("updateSnapshots")) this.updateSnapshots = true;
+    if (!this.#testFileURL) return;
+    this.#snapshots = await readStore(snapshotURL(this.#testFileURL), "atestrunner-snapshots");
+  }
+
+  /**
+   * Stores the snapshots if any were added or updated: in the snapshot file next to the test file when
+   * running in Node.js, otherwise in localStorage.
+   * @private
+   * @async
+   */
+  async #saveSnapshots() {
+    if (!this.#snapshotsChanged || !this.#testFileURL) return;
+    await writeStore(snapshotURL(this.#testFileURL), "atestrunner-snapshots", snapshotJSON(this.#snapshots));
+    this.#snapshotsChanged = false;
+  }
+
+  /**
+   * Loads the benchmark baselines stored for the test file: from the `.bench.json` file next to it when running in
+   * Node.js, otherwise from localStorage. Also turns on `updateBaselines` if the page's URL asks for it.
+   * Without a test file URL, benchmark times are not recorded.
+   * @private
+   * @async
+   */
+  async #loadStoredBaselines() {
+    this.#baselinesChanged = false;
+    this.#baselines = null;
+    if (typeof location !== "undefined" && new URLSearchParams(location.search).has("updateBaselines")) this.updateBaselines = true;
+    if (!this.#testFileURL) return;
+    this.#baselines = await readStore(baselineURL(this.#testFileURL), "atestrunner-baselines");
+  }
+
+  /**
+   * Stores the baselines if any were added or updated, like #saveSnapshots().
+   * @private
+   * @async
+   */
+  async #saveBaselines() {
+    if (!this.#baselinesChanged || !this.#testFileURL) return;
+    await writeStore(baselineURL(this.#testFileURL), "atestrunner-baselines", snapshotJSON(this.#baselines));
+    this.#baselinesChanged = false;
+  }
+
+  /**
+   * Records a benchmark time for the current test, to be compared with its baseline when the test finishes.
+   * Times measured while no test runs on its own, or without a test file URL, are not recorded.
+   * @private
+   * @param {number} ms - The time per call in milliseconds.
+   * @param {string} [name] - The name of the measurement. Unnamed measurements are numbered by call.
+   */
+  #recordTime(ms, name) {
+    const test = this.#currentTest;
+    if (!test || !this.#baselines) return;
+    const key = name === undefined ? `${test.key} ${test.measurements.length + 1}` : `${test.key}: ${name}`;
+    test.measurements.push({ key, ms });
+  }
+
+  /**
+   * Compares the benchmark times of a passing test with their baselines. Times without a baseline, or all of them
+   * when `updateBaselines` is on, are stored as the new baselines.
+   * @private
+   * @param {object} result - The test's result.
+   * @param {Array<object>} measurements - The times recorded by the test: `{ key, ms }`.
+   * @param {number} tolerance - How far a time may move from its baseline, as a fraction.
+   * @returns {object} The result, or a copy with the verdict 'regressed' or 'improved', a message and `baselines`,
+   *   the comparisons: `{ key, ms, baseline, change }`, where `change` is the fraction by which the time moved.
+   */
+  #compareBaselines(result, measurements, tolerance) {
+    const comparisons = [];
+    for (const { key, ms } of measurements) {
+      const baseline = this.#baselines[key];
+      if (baseline === undefined || this.updateBaselines) {
+        this.#baselines[key] = ms;
+        this.#baselinesChanged = true;
+      } else {
+        comparisons.push({ key, ms, baseline, change: baseline > 0 ? ms / baseline - 1 : 0 });
+      }
+    }
+    const slower = comparisons.filter(comparison => comparison.change > tolerance);
+    const faster = comparisons.filter(comparison => comparison.change < -tolerance);
+    if (!slower.length && !faster.length) return result;
+
+    const describe = ({ key, ms, baseline, change }) =>
+      `"${key}" took ${formatTime(ms)} per call, ${Math.round(Math.abs(change) * 100)}% ${change > 0 ? "slower" : "faster"} than its baseline of ${formatTime(baseline)}.`;
+    const message = slower.length
+      ? slower.map(describe).join("\n")
+      : `${faster.map(describe).join("\n")}\nTurn on updateBaselines to accept the new times.`;
+    return { ...result, verdict: slower.length ? "regressed" : "improved", message, baselines: comparisons };
+  }
+
+  /**
+   * Reports a queue that will not run, because its setup failed or the run was aborted: tests get the given
+   * verdict, nested groups are reported with their group events, and other items are processed as usual.
+   * @private
+   * @async
+   * @param {Array<object>} queue - The queue to skip, including nested groups.
+   * @param {Array<string>} path - The gists of the enclosing groups.
+   * @param {string} verdict - The verdict for the tests: 'skip' or 'cancelled'.
+   * @param {string} reason - The result for the tests, saying why they were not executed.
+   * @param {number} total - The total number of items in the run, for progress reporting.
+   * @returns {Promise<string>} 'fail' if any result failed, errored or was cancelled, otherwise 'pass'.
+   */
+  async #skipQueue(queue, path, verdict, reason, total) {
+    let queueVerdict = "pass";
+    const batch = [];
+    const flush = async () => {
+      if (!(await this.#reportBatch(batch.splice(0), total))) queueVerdict = "fail";
+    };
+    for (const item of queue) {
+      if (item.type === "group") {
+        await flush();
+        const groupPath = [...path, item.payload.gist];
+        const skipGroup = () => this.#skipQueue(item.payload.children, groupPath, verdict, reason, total);
+        if (await this.#reportGroup(item.payload.gist, groupPath, skipGroup) === "fail") queueVerdict = "fail";
+      } else if (item.type !== "test" || item.payload.verdict) {
+        batch.push(this.#runItem(item, { before: [], after: [] }, path));
+      } else {
+        const { gist, expect, line, params } = item.payload;
+        batch.push(Promise.resolve([withParams({ type: "test", gist, verdict, result: reason, expect, line, path, duration: 0 }, params)]));
+      }
+    }
+    await flush();
+    return queueVerdict;
+  }
+
+  /**
+   * Waits for a batch of items to finish and then reports each of their results.
+   * @private
+   * @async
+   * @param {Array<Promise<Array<object>>>} promiseBatch - A promise for each item's results.
+   * @param {number} total - The total number of items in the queue, for progress reporting.
+   * @returns {Promise<boolean>} False if any result in the batch failed or errored.
+   */
+  async #reportBatch(promiseBatch, total) {
+    const batches = await Promise.all(promiseBatch);
+    let passed = true;
+    for (const results of batches) {
+      for (const result of results) {
+        if (FAILING_VERDICTS.has(result.verdict)) passed = false;
+        this.#reportResult(result);
+      }
+      this.#emit("progress", ++this.#processedCount, total);
+    }
+    return passed;
+  }
+
+  /**
+   * Reports a single result using the configured reporter.
+   * @private
+   * @param {object} result - The result object to report.
+   */
+  #reportResult(result) {
+    if (FAILING_VERDICTS.has(result.verdict)) {
+      this.#finalVerdict = "fail";
+    }
+    if (result.type === "test") {
+      for (const counts of [this.#summary, ...this.#openGroups]) {
+        const key = COUNT_KEYS[result.verdict];
+        if (key) counts[key]++;
+        counts.total++;
+      }
+    }
+    if (!this.onlyFailed || result.verdict !== "pass") {
+      this.#emit("report", result);
+    }
+  }
+
+  /**
+   * Calls a method on every active reporter with fanOut(). A reporter that throws is removed from the run
+   * and makes it fail.
+   * @private
+   * @param {string} method - 'report', 'groupStart', 'groupEnd', 'progress' or 'complete'.
+   * @param {...*} args - The arguments to pass.
+   */
+  #emit(method, ...args) {
+    fanOut(this.#activeReporters, method, args, () => { this.#finalVerdict = "fail"; });
+  }
+
+  /**
+   * Initializes the output reporter based on the `output` configuration.
+   * @private
+   * @async
+   * @throws {Error} If the specified DOM target is not found.
+   */
+  async #initializeOutput() {
+    if (this.#outputConfig === 'console' || this.#outputConfig === null) {
+      this.#outputTarget = 'console';
+      this.#reporter = new ConsoleReporter();
+      return;
+    }
+
+    if (this.#outputConfig === 'terminal') {
+      this.#outputTarget = 'terminal';
+      this.#reporter = new TerminalReporter();
+      return;
+    }
+
+    if (this.#outputConfig === 'junit' || this.#outputConfig === 'tap') {
+      this.#outputTarget = this.#outputConfig;
+      const Reporter = this.#outputConfig === 'junit' ? JUnitReporter : TapReporter;
+      this.#reporter = new Reporter({ file: this.#testFileURL });
+      return;
+    }
+
+    if (isReporter(this.#outputConfig)) {
+      this.#outputTarget = this.#outputConfig;
+      this.#reporter = this.#outputConfig;
+      return;
+    }
+
+    let element;
+    if (typeof HTMLElement !== 'undefined' && this.#outputConfig instanceof HTMLElement) {
+      element = this.#outputConfig;
+    } else if (typeof this.#outputConfig === 'string') {
+      element = document.querySelector(this.#outputConfig);
+    }
 
     if (!element) {
       throw new Error(`ATestRunner Error: Output target "${this.#outputConfig}" not found in the DOM.`);
@@ -479,39 +1566,82 @@ export default class ATestRunner {
       result: this.resultEventName,
       progress: this.progressEventName,
       complete: this.completeEventName,
-    });
+    }, { file: this.#testFileURL });
   }
 
   /**
    * Recursively compares two values for deep equality.
+   * When a trace is given, every difference found is recorded in it; if `trace.all` is true,
+   * comparison continues past the first difference.
    * @private
-   * @param {*} objA - The first value.
-   * @param {*} objB - The second value.
+   * @param {*} objA - The first (actual) value.
+   * @param {*} objB - The second (expected) value.
    * @param {Map<object, object>} seen - A map to track circular references.
+   * @param {object|null} [trace=null] - Collects differences: `{ diffs: Array<object>, all: boolean }`.
+   * @param {string} [path=""] - The path of the values being compared, relative to the root.
    * @returns {boolean} True if the values are deeply equal.
    */
-  #deepEqual(objA, objB, seen) {
+  #deepEqual(objA, objB, seen, trace = null, path = "", options = equalityOptions()) {
     if (objA === objB) return true;
 
+    for (const tester of this.#equalityTesters) {
+      const verdict = tester(objA, objB, (a, b) => this.#deepEqual(a, b, seen, null, path, options));
+      if (verdict === true) return true;
+      if (verdict === false) return this.#mismatch(trace, path, "changed", objA, objB, `${format(objA)} !== ${format(objB)} (custom equality tester)`);
+    }
+
+    if (typeof objA === "number" && typeof objB === "number") {
+      if (options.equalNaN && Number.isNaN(objA) && Number.isNaN(objB)) return true;
+      if (Math.abs(objA - objB) <= options.tolerance) return true;
+    }
+
     if (objA === null || typeof objA !== 'object' || objB === null || typeof objB !== 'object') {
-      return false;
+      return this.#mismatch(trace, path, "changed", objA, objB, `${format(objA)} !== ${format(objB)}`);
     }
 
     if (seen.has(objA) && seen.get(objA) === objB) return true;
     seen.set(objA, objB);
 
-    if (Object.getPrototypeOf(objA) !== Object.getPrototypeOf(objB)) return false;
+    const sameType = options.ignorePrototypes
+      ? Object.prototype.toString.call(objA) === Object.prototype.toString.call(objB)
+      : Object.getPrototypeOf(objA) === Object.getPrototypeOf(objB);
+    if (!sameType) {
+      return this.#mismatch(trace, path, "changed", objA, objB, `${typeName(objA)} !== ${typeName(objB)}`);
+    }
 
-    if (objA instanceof Date) return objA.getTime() === objB.getTime();
-    if (objA instanceof RegExp) return objA.toString() === objB.toString();
-    if (Array.isArray(objA)) return this.#areArraysEqual(objA, objB, seen);
-    if (objA instanceof Map) return this.#areMapsEqual(objA, objB, seen);
-    if (objA instanceof Set) return this.#areSetsEqual(objA, objB, seen);
+    if (objA instanceof Date) {
+      return objA.getTime() === objB.getTime() ||
+        this.#mismatch(trace, path, "changed", objA, objB, `${format(objA)} !== ${format(objB)}`);
+    }
+    if (objA instanceof RegExp) {
+      return objA.toString() === objB.toString() ||
+        this.#mismatch(trace, path, "changed", objA, objB, `${objA} !== ${objB}`);
+    }
+    if (Array.isArray(objA)) return this.#areArraysEqual(objA, objB, seen, trace, path, options);
+    if (objA instanceof Map) return this.#areMapsEqual(objA, objB, seen, trace, path, options);
+    if (objA instanceof Set) return this.#areSetsEqual(objA, objB, seen, trace, path, options);
     if (objA instanceof ArrayBuffer || ArrayBuffer.isView(objA)) {
-      return this.#areTypedArraysEqual(objA, objB);
+      return this.#areTypedArraysEqual(objA, objB, trace, path);
     }
 
-    return this.#areObjectsEqual(objA, objB, seen);
+    return this.#areObjectsEqual(objA, objB, seen, trace, path, options);
+  }
+
+  /**
+   * Records a difference in a trace, if there is one.
+   * @private
+   * @param {object|null} trace - The trace to record in.
+   * @param {string} path - The path of the differing value.
+   * @param {string} kind - 'changed', 'missing' (only in expected) or 'unexpected' (only in actual).
+   * @param {*} actual - The actual value at the path.
+   * @param {*} expected - The expected value at the path.
+   * @param {string} message - A description of the difference.
+   * @returns {boolean} Always false, so callers can `return this.#mismatch(...)`.
+   */
+  #mismatch(trace, path, kind, actual, expected, message) {
+    const where = path || "(root)";
+    trace?.diffs.push({ path: where, kind, actual, expected, message: `${where}: ${message}` });
+    return false;
   }
 
   /**
@@ -520,14 +1650,22 @@ export default class ATestRunner {
    * @param {Array<*>} arrA - The first array.
    * @param {Array<*>} arrB - The second array.
    * @param {Map<object, object>} seen - A map to track circular references.
+   * @param {object|null} trace - Collects differences.
+   * @param {string} path - The path of the arrays.
+   * @param {object} options - The comparison options, from `equalityOptions()`.
    * @returns {boolean} True if the arrays are deeply equal.
    */
-  #areArraysEqual(arrA, arrB, seen) {
-    if (arrA.length !== arrB.length) return false;
-    for (let i = 0; i < arrA.length; i++) {
-      if (!this.#deepEqual(arrA[i], arrB[i], seen)) return false;
+  #areArraysEqual(arrA, arrB, seen, trace, path, options) {
+    if (!trace && arrA.length !== arrB.length) return false;
+    let equal = true;
+    for (let i = 0; i < Math.max(arrA.length, arrB.length); i++) {
+      const itemPath = `${path}[${i}]`;
+      if (i >= arrA.length) equal = this.#mismatch(trace, itemPath, "missing", undefined, arrB[i], `missing, expected ${format(arrB[i])}`);
+      else if (i >= arrB.length) equal = this.#mismatch(trace, itemPath, "unexpected", arrA[i], undefined, `unexpected ${format(arrA[i])}`);
+      else if (!this.#deepEqual(arrA[i], arrB[i], seen, trace, itemPath, options)) equal = false;
+      if (!equal && !trace?.all) return false;
     }
-    return true;
+    return equal;
   }
 
   /**
@@ -536,209 +1674,2102 @@ export default class ATestRunner {
    * @param {Map<*, *>} mapA - The first Map.
    * @param {Map<*, *>} mapB - The second Map.
    * @param {Map<object, object>} seen - A map to track circular references.
+   * @param {object|null} trace - Collects differences.
+   * @param {string} path - The path of the Maps.
+   * @param {object} options - The comparison options, from `equalityOptions()`.
    * @returns {boolean} True if the Maps are deeply equal.
    */
-  #areMapsEqual(mapA, mapB, seen) {
-    if (mapA.size !== mapB.size) return false;
+  #areMapsEqual(mapA, mapB, seen, trace, path, options) {
+    if (!trace && mapA.size !== mapB.size) return false;
+    let equal = true;
     for (const [key, value] of mapA) {
-      if (!mapB.has(key) || !this.#deepEqual(value, mapB.get(key), seen)) {
-        return false;
+      const entryPath = `${path}.get(${format(key)})`;
+      if (!mapB.has(key)) equal = this.#mismatch(trace, entryPath, "unexpected", value, undefined, `unexpected key with value ${format(value)}`);
+      else if (!this.#deepEqual(value, mapB.get(key), seen, trace, entryPath, options)) equal = false;
+      if (!equal && !trace?.all) return false;
+    }
+    for (const [key, value] of mapB) {
+      if (mapA.has(key)) continue;
+      equal = this.#mismatch(trace, `${path}.get(${format(key)})`, "missing", undefined, value, `missing key, expected ${format(value)}`);
+      if (!trace?.all) return false;
+    }
+    return equal;
+  }
+
+  /**
+   * Compares two Sets for deep equality. Members are matched by deep equality, regardless of order.
+   * @private
+   * @param {Set<*>} setA - The first Set.
+   * @param {Set<*>} setB - The second Set.
+   * @param {Map<object, object>} seen - A map to track circular references.
+   * @param {object|null} trace - Collects differences.
+   * @param {string} path - The path of the Sets.
+   * @param {object} options - The comparison options, from `equalityOptions()`.
+   * @returns {boolean} True if the Sets are deeply equal.
+   */
+  #areSetsEqual(setA, setB, seen, trace, path, options) {
+    if (!trace && setA.size !== setB.size) return false;
+    let equal = true;
+    const bValues = [...setB];
+    for (const aValue of setA) {
+      const idx = bValues.findIndex(bValue => this.#deepEqual(aValue, bValue, seen, null, path, options));
+      if (idx === -1) {
+        equal = this.#mismatch(trace, path, "unexpected", aValue, undefined, `unexpected member ${format(aValue)}`);
+        if (!trace?.all) return false;
+      } else {
+        bValues.splice(idx, 1);
       }
     }
-    return true;
+    for (const bValue of bValues) {
+      equal = this.#mismatch(trace, path, "missing", undefined, bValue, `missing member ${format(bValue)}`);
+      if (!trace?.all) return false;
+    }
+    return equal;
+  }
+
+  /**
+   * Compares two ArrayBuffers or TypedArrays for equality.
+   * @private
+   * @param {ArrayBuffer|DataView|TypedArray} objA - The first buffer/view.
+   * @param {ArrayBuffer|DataView|TypedArray} objB - The second buffer/view.
+   * @param {object|null} trace - Collects differences.
+   * @param {string} path - The path of the buffers.
+   * @returns {boolean} True if the underlying data is identical.
+   */
+  #areTypedArraysEqual(objA, objB, trace, path) {
+    if (objA.byteLength !== objB.byteLength) {
+      return this.#mismatch(trace, `${path}.byteLength`, "changed", objA.byteLength, objB.byteLength, `${objA.byteLength} !== ${objB.byteLength}`);
+    }
+    const viewA = objA instanceof ArrayBuffer ? new Uint8Array(objA) : new Uint8Array(objA.buffer, objA.byteOffset, objA.byteLength);
+    const viewB = objB instanceof ArrayBuffer ? new Uint8Array(objB) : new Uint8Array(objB.buffer, objB.byteOffset, objB.byteLength);
+    let first = -1;
+    let count = 0;
+    for (let i = 0; i < objA.byteLength; i++) {
+      if (viewA[i] === viewB[i]) continue;
+      if (!trace) return false;
+      if (first === -1) first = i;
+      count++;
+    }
+    if (first === -1) return true;
+    return this.#mismatch(trace, path, "changed", viewA[first], viewB[first],
+      `bytes differ at offset ${first} (${viewA[first]} !== ${viewB[first]}), ${count} byte${count === 1 ? "" : "s"} differ in total`);
+  }
+
+  /**
+   * Compares two plain objects for deep equality, by the keys that `comparedKeys()` selects.
+   * @private
+   * @param {object} objA - The first object.
+   * @param {object} objB - The second object.
+   * @param {Map<object, object>} seen - A map to track circular references.
+   * @param {object|null} trace - Collects differences.
+   * @param {string} path - The path of the objects.
+   * @param {object} options - The comparison options, from `equalityOptions()`.
+   * @returns {boolean} True if the objects are deeply equal.
+   */
+  #areObjectsEqual(objA, objB, seen, trace, path, options) {
+    const keysA = comparedKeys(objA, path, options);
+    const keysB = comparedKeys(objB, path, options);
+    if (!trace && keysA.length !== keysB.length) return false;
+    const inA = new Set(keysA);
+    const inB = new Set(keysB);
+    let equal = true;
+    for (const key of keysA) {
+      const keyPath = propertyPath(path, key);
+      if (!inB.has(key)) equal = this.#mismatch(trace, keyPath, "unexpected", objA[key], undefined, `unexpected ${format(objA[key])}`);
+      else if (!this.#deepEqual(objA[key], objB[key], seen, trace, keyPath, options)) equal = false;
+      if (!equal && !trace?.all) return false;
+    }
+    for (const key of keysB) {
+      if (inA.has(key)) continue;
+      equal = this.#mismatch(trace, propertyPath(path, key), "missing", undefined, objB[key], `missing, expected ${format(objB[key])}`);
+      if (!trace?.all) return false;
+    }
+    return equal;
+  }
+
+  // --- GETTERS / SETTERS ---
+
+  /**
+   * Gets the current output configuration.
+   * @returns {string|HTMLElement|ATestReporter|null} The output target.
+   */
+  get output() { return this.#outputConfig; }
+  /**
+   * Sets the output target for the reporter.
+   * @param {string|HTMLElement|ATestReporter|null} target - Can be 'console', 'terminal', 'junit', 'tap',
+   *   a CSS selector string, an HTMLElement, or a reporter instance.
+   */
+  set output(target) { this.#outputConfig = target; }
+
+  /**
+   * Gets the reporter chosen by `output`. After a run with `output = 'junit'` or `'tap'`, read the report from `runner.reporter.output`.
+   * @returns {ATestReporter} The reporter instance.
+   */
+  get reporter() { return this.#reporter; }
+
+  /**
+   * Gets every reporter: the one chosen by `output`, followed by those added with addReporter().
+   * @returns {Array<ATestReporter|object>} The reporters.
+   */
+  get reporters() { return [this.#reporter, ...this.#addedReporters]; }
+
+  /**
+   * Gets the final verdict of the test suite after it has run.
+   * @returns {string} The final verdict ('pass' or 'fail').
+   */
+  get finalVerdict() { return this.#finalVerdict; }
+
+  /**
+   * Gets the promise for the most recent run.
+   * @returns {Promise<string>|null} Resolves with the final verdict, or null if run() has not been called.
+   */
+  get completion() { return this.#runPromise; }
+}
+
+/**
+ * @class AssertionError
+ * @extends Error
+ * Thrown by a matcher that does not hold. The runner reports it as a 'fail' rather than an 'error'.
+ */
+class AssertionError extends Error {
+  /**
+   * @param {string} message - A description of the failed assertion.
+   * @param {object} details - The values being compared.
+   * @param {*} details.actual - The value under test.
+   * @param {*} details.expected - The value the matcher expected.
+   * @param {string} details.matcher - The name of the matcher, e.g. 'toEqual' or 'not.toBe'.
+   * @param {Array<object>} [details.diff] - The differences between actual and expected, for `toEqual`.
+   */
+  constructor(message, { actual, expected, matcher, diff }) {
+    super(message);
+    this.name = "AssertionError";
+    this.actual = actual;
+    this.expected = expected;
+    this.matcher = matcher;
+    if (diff) this.diff = diff;
+  }
+}
+
+/**
+ * @class Expectation
+ * The chainable object returned by `ATestRunner#expect()`.
+ * Matchers return nothing when they hold and throw an AssertionError when they don't.
+ * After `.resolves` or `.rejects`, matchers return a promise and must be awaited.
+ */
+class Expectation {
+  /** @private @type {*} The value under test. */
+  #actual;
+  /** @private @type {ATestRunner} The runner, whose `equal()` and `diff()` are used for comparisons. */
+  #runner;
+  /** @private @type {boolean} True after `.not`. */
+  #negated;
+  /** @private @type {string|null} 'resolves', 'rejects' or null. */
+  #mode;
+
+  /**
+   * @param {*} actual - The value under test.
+   * @param {ATestRunner} runner - The runner whose `equal()` is used by `toEqual` and `toHaveProperty`.
+   * @param {boolean} [negated=false] - Whether matchers are inverted.
+   * @param {string|null} [mode=null] - 'resolves' or 'rejects' to unwrap a promise before matching.
+   */
+  constructor(actual, runner, negated = false, mode = null) {
+    this.#actual = actual;
+    this.#runner = runner;
+    this.#negated = negated;
+    this.#mode = mode;
+  }
+
+  /** @returns {Expectation} An expectation whose matchers are inverted. */
+  get not() { return new Expectation(this.#actual, this.#runner, !this.#negated, this.#mode); }
+
+  /** @returns {Expectation} An expectation whose matchers apply to the value the promise resolves with. */
+  get resolves() { return new Expectation(this.#actual, this.#runner, this.#negated, "resolves"); }
+
+  /** @returns {Expectation} An expectation whose matchers apply to the reason the promise rejects with. */
+  get rejects() { return new Expectation(this.#actual, this.#runner, this.#negated, "rejects"); }
+
+  /**
+   * Asserts that the value is identical to `expected`, using `Object.is`.
+   * @param {*} expected - The expected value.
+   */
+  toBe(expected) {
+    return this.#check("toBe", actual => [Object.is(actual, expected), `to be ${format(expected)}`, expected]);
+  }
+
+  /**
+   * Asserts that the value is deeply equal to `expected`, using the runner's `equal()`.
+   * @param {*} expected - The expected value.
+   * @param {object} [options] - Options of `equal()`, e.g. `{ tolerance: 1e-9 }`.
+   */
+  toEqual(expected, options) {
+    return this.#check("toEqual", actual => {
+      const diff = this.#runner.diff(actual, expected, options);
+      return [diff.length === 0, `to equal ${format(expected)}`, expected, actual, this.#negated ? undefined : diff];
+    });
+  }
+
+  /**
+   * Asserts that a string contains a substring, or that an array or other iterable contains an item (compared with `===`).
+   * @param {*} item - The substring or item.
+   */
+  toContain(item) {
+    return this.#check("toContain", actual => {
+      let pass = false;
+      if (typeof actual === "string") pass = actual.includes(item);
+      else if (actual != null && typeof actual[Symbol.iterator] === "function") pass = [...actual].includes(item);
+      return [pass, `to contain ${format(item)}`, item];
+    });
+  }
+
+  /**
+   * Asserts that a string matches a regular expression or contains a substring.
+   * @param {RegExp|string} pattern - The pattern to match.
+   */
+  toMatch(pattern) {
+    return this.#check("toMatch", actual => {
+      const pass = typeof actual === "string" && (pattern instanceof RegExp ? pattern.test(actual) : actual.includes(pattern));
+      return [pass, `to match ${format(pattern)}`, pattern];
+    });
+  }
+
+  /**
+   * Asserts that the value is an instance of a class.
+   * @param {Function} ctor - The class.
+   */
+  toBeInstanceOf(ctor) {
+    return this.#check("toBeInstanceOf", actual => [actual instanceof ctor, `to be an instance of ${ctor?.name ?? format(ctor)}`, ctor]);
+  }
+
+  /**
+   * Asserts that a number is equal to `expected` within a precision of `digits` decimal places.
+   * @param {number} expected - The expected number.
+   * @param {number} [digits=2] - The number of decimal places to check.
+   */
+  toBeCloseTo(expected, digits = 2) {
+    return this.#check("toBeCloseTo", actual => {
+      const pass = Math.abs(expected - actual) < Math.pow(10, -digits) / 2;
+      return [pass, `to be close to ${format(expected)} (${digits} decimal places)`, expected];
+    });
+  }
+
+  /**
+   * Asserts that the value has a `length` property equal to `length`.
+   * @param {number} length - The expected length.
+   */
+  toHaveLength(length) {
+    return this.#check("toHaveLength", actual => [actual?.length === length, `to have length ${length}`, length]);
+  }
+
+  /**
+   * Asserts that the value has a property at a path, and optionally that the property equals a value.
+   * @param {string|Array<string|number>} keyPath - A key, a dotted path such as `'a.b[0].c'`, or an array of keys.
+   * @param {*} [value] - If given, the property must deeply equal this value.
+   */
+  toHaveProperty(keyPath, ...value) {
+    return this.#check("toHaveProperty", actual => {
+      const keys = Array.isArray(keyPath) ? keyPath : String(keyPath).match(/[^.[\]]+/g) ?? [];
+      let target = actual;
+      let found = keys.length > 0;
+      for (const key of keys) {
+        if (target == null || !(key in Object(target))) {
+          found = false;
+          break;
+        }
+        target = target[key];
+      }
+      const pass = found && (value.length === 0 || this.#runner.equal(target, value[0]));
+      const description = value.length ? `to have property ${format(keyPath)} equal to ${format(value[0])}` : `to have property ${format(keyPath)}`;
+      return [pass, description, value.length ? value[0] : keyPath];
+    });
+  }
+
+  /**
+   * Asserts that a function throws when called with no arguments. After `.rejects`, asserts on the rejection reason instead.
+   * @param {Function|RegExp|string|Error} [expected] - An error class, a pattern or substring of the message, or an error with the same message.
+   * @param {RegExp|string} [message] - When `expected` is a class, a pattern or substring of the message.
+   */
+  toThrow(expected, message) {
+    return this.#check("toThrow", actual => {
+      let thrown = null;
+      let didThrow = false;
+      if (this.#mode === "rejects") {
+        didThrow = true;
+        thrown = actual;
+      } else if (typeof actual === "function") {
+        try {
+          actual();
+        } catch (error) {
+          didThrow = true;
+          thrown = error;
+        }
+      }
+
+      const text = thrown?.message ?? String(thrown);
+      const matchesText = pattern => pattern instanceof RegExp ? pattern.test(text) : text.includes(pattern);
+      let pass = didThrow;
+      let description = "to throw";
+      if (typeof expected === "function") {
+        pass = pass && thrown instanceof expected;
+        description += ` ${expected.name}`;
+      } else if (expected instanceof Error) {
+        pass = pass && text === expected.message;
+        description += ` ${format(expected.message)}`;
+      } else if (expected !== undefined) {
+        message = expected;
+      }
+      if (message !== undefined) {
+        pass = pass && matchesText(message);
+        description += ` matching ${format(message)}`;
+      }
+      return [pass, description, expected ?? message, didThrow ? thrown : "Nothing was thrown"];
+    });
+  }
+
+  /**
+   * Evaluates a matcher, unwrapping a promise first after `.resolves` or `.rejects`.
+   * @private
+   * @param {string} name - The name of the matcher.
+   * @param {Function} evaluate - Receives the actual value and returns `[pass, description, expected, reportedActual?, diff?]`.
+   * @returns {Promise<void>|undefined} A promise after `.resolves` or `.rejects`, otherwise undefined.
+   * @throws {AssertionError} If the matcher does not hold.
+   */
+  #check(name, evaluate) {
+    if (!this.#mode) return this.#assert(name, evaluate, this.#actual);
+    return Promise.resolve(this.#actual).then(
+      value => {
+        if (this.#mode === "rejects") {
+          throw new AssertionError(`Expected promise to reject but it resolved with ${format(value)}`, { actual: value, expected: "a rejection", matcher: `rejects.${name}` });
+        }
+        return this.#assert(name, evaluate, value);
+      },
+      reason => {
+        if (this.#mode === "resolves") {
+          throw new AssertionError(`Expected promise to resolve but it rejected with ${format(reason)}`, { actual: reason, expected: "a resolved value", matcher: `resolves.${name}` });
+        }
+        return this.#assert(name, evaluate, reason);
+      }
+    );
   }
 
   /**
-   * Compares two Sets for deep equality.
-   * @private
-   * @param {Set<*>} setA - The first Set.
-   * @param {Set<*>} setB - The second Set.
-   * @param {Map<object, object>} seen - A map to track circular references.
-   * @returns {boolean} True if the Sets are deeply equal.
+   * Throws an AssertionError if a matcher's result, after applying `.not`, is false.
+   * @private
+   * @param {string} name - The name of the matcher.
+   * @param {Function} evaluate - The matcher function.
+   * @param {*} actual - The value to evaluate.
+   * @throws {AssertionError} If the matcher does not hold.
+   */
+  #assert(name, evaluate, actual) {
+    const [pass, description, expected, reported = actual, diff] = evaluate(actual);
+    if (pass !== this.#negated) return;
+    const matcher = [this.#mode, this.#negated ? "not" : null, name].filter(Boolean).join(".");
+    const subject = typeof actual === "function" && name === "toThrow" ? "function" : format(actual);
+    throw new AssertionError(`Expected ${subject} ${this.#negated ? "not " : ""}${description}`, { actual: reported, expected, matcher, diff });
+  }
+}
+
+/**
+ * @class FakeClock
+ * The controllable clock returned by `ATestRunner#useFakeTimers()`. While installed, it replaces
+ * `setTimeout`, `clearTimeout`, `setInterval`, `clearInterval`, `requestAnimationFrame`,
+ * `cancelAnimationFrame` and `Date` on the global object. Timers only fire when the clock is advanced.
+ */
+class FakeClock {
+  /** @private @type {number} The current fake time, in milliseconds since the epoch. */
+  #now;
+  /** @private @type {Map<number, object>} Pending timers by id: `{ id, time, callback, args, interval }`. */
+  #timers = new Map();
+  /** @private @type {number} The id of the next timer. */
+  #nextId = 1;
+  /** @private @type {object|null} The global properties replaced by the clock, or null once restored. */
+  #originals = null;
+  /** @private @type {Function} Called by restore(). */
+  #onRestore;
+
+  /**
+   * @param {number} now - The initial time, in milliseconds since the epoch.
+   * @param {Function} onRestore - Called when the clock is restored.
+   */
+  constructor(now, onRestore) {
+    this.#now = now;
+    this.#onRestore = onRestore;
+  }
+
+  /**
+   * The current fake time, in milliseconds since the epoch.
+   * @type {number}
+   */
+  get now() { return this.#now; }
+
+  /**
+   * True until restore() is called.
+   * @type {boolean}
+   */
+  get installed() { return this.#originals !== null; }
+
+  /**
+   * Replaces the global timer functions and `Date` with fake versions driven by this clock.
+   * @returns {FakeClock} The clock.
+   */
+  install() {
+    const clock = this;
+    const RealDate = realTimers.Date;
+    const fakes = {
+      setTimeout: (callback, delay = 0, ...args) => this.#schedule(callback, delay, args, null),
+      clearTimeout: id => this.#timers.delete(id),
+      setInterval: (callback, delay = 0, ...args) => this.#schedule(callback, delay, args, Math.max(1, delay)),
+      clearInterval: id => this.#timers.delete(id),
+      requestAnimationFrame: callback => this.#schedule(() => callback(this.#now), 16, [], null),
+      cancelAnimationFrame: id => this.#timers.delete(id),
+      // A function rather than a class, so that `Date()` can be called without `new` and return a string.
+      Date: function Date(...args) {
+        if (!new.target) return new RealDate(clock.#now).toString();
+        return Reflect.construct(RealDate, args.length ? args : [clock.#now], new.target);
+      }
+    };
+    Object.setPrototypeOf(fakes.Date, RealDate);
+    fakes.Date.prototype = RealDate.prototype;
+    fakes.Date.now = () => clock.#now;
+    this.#originals = {};
+    for (const [name, fake] of Object.entries(fakes)) {
+      this.#originals[name] = Object.getOwnPropertyDescriptor(globalThis, name);
+      globalThis[name] = fake;
+    }
+    return this;
+  }
+
+  /**
+   * Advances the clock, firing every timer that falls due on the way in time order.
+   * @param {number} ms - How many milliseconds to advance.
+   * @returns {number} The new time.
+   */
+  tick(ms) {
+    const target = this.#now + ms;
+    let timer;
+    while ((timer = this.#next()) && timer.time <= target) this.#fire(timer);
+    this.#now = target;
+    return this.#now;
+  }
+
+  /**
+   * Fires timers, advancing the clock to each one, until none are left. Timers scheduled while
+   * running are fired too.
+   * @param {number} [limit=1000] - The maximum number of timers to fire.
+   * @returns {number} The new time.
+   * @throws {Error} If `limit` timers have fired and more are pending, e.g. because of an interval.
+   */
+  runAll(limit = 1000) {
+    for (let count = 0; count < limit; count++) {
+      const timer = this.#next();
+      if (!timer) return this.#now;
+      this.#fire(timer);
+    }
+    throw new Error(`FakeClock.runAll() fired ${limit} timers and more are pending. Is an interval or a self-scheduling timer running?`);
+  }
+
+  /**
+   * Fires the timers that are pending now, advancing the clock to each one. Timers they schedule are left pending.
+   * @returns {number} The new time.
+   */
+  runOnlyPending() {
+    const pending = new Set(this.#timers.keys());
+    let timer;
+    while ((timer = this.#next(pending))) {
+      pending.delete(timer.id);
+      this.#fire(timer);
+    }
+    return this.#now;
+  }
+
+  /**
+   * Sets the time reported by `Date` without firing any timers.
+   * @param {Date|number|string} date - The new time.
+   */
+  setSystemTime(date) {
+    this.#now = new realTimers.Date(date).getTime();
+  }
+
+  /**
+   * Puts back the real timer functions and `Date` and drops any pending timers. Calling it again does nothing.
+   */
+  restore() {
+    if (!this.#originals) return;
+    for (const [name, descriptor] of Object.entries(this.#originals)) {
+      if (descriptor) Object.defineProperty(globalThis, name, descriptor);
+      else delete globalThis[name];
+    }
+    this.#originals = null;
+    this.#timers.clear();
+    this.#onRestore?.(this);
+  }
+
+  /**
+   * Adds a timer.
+   * @private
+   * @param {Function} callback - The function to call.
+   * @param {number} delay - The delay in milliseconds.
+   * @param {Array<*>} args - Arguments for the callback.
+   * @param {number|null} interval - The repeat interval, or null for a one-off timer.
+   * @returns {number} The timer id.
+   */
+  #schedule(callback, delay, args, interval) {
+    const id = this.#nextId++;
+    this.#timers.set(id, { id, time: this.#now + Math.max(0, Number(delay) || 0), callback, args, interval });
+    return id;
+  }
+
+  /**
+   * Finds the timer that falls due first; timers due at the same time fire in the order they were added.
+   * @private
+   * @param {Set<number>} [among] - Only consider timers with these ids.
+   * @returns {object|undefined} The timer.
+   */
+  #next(among) {
+    let first;
+    for (const timer of this.#timers.values()) {
+      if (among && !among.has(timer.id)) continue;
+      if (!first || timer.time < first.time) first = timer;
+    }
+    return first;
+  }
+
+  /**
+   * Advances the clock to a timer and calls it. Intervals are rescheduled; other timers are removed.
+   * @private
+   * @param {object} timer - The timer.
+   */
+  #fire(timer) {
+    this.#now = Math.max(this.#now, timer.time);
+    if (timer.interval !== null) timer.time += timer.interval;
+    else this.#timers.delete(timer.id);
+    timer.callback(...timer.args);
+  }
+}
+
+/**
+ * @class Arbitrary
+ * A source of random values for `ATestRunner#property()`. Each generated value comes with the smaller values
+ * it can be shrunk to, so a failing input can be reduced to a minimal counterexample. Create them with `arb`.
+ */
+class Arbitrary {
+  /** @private @type {Function} Makes a shrink tree from a random number source. */
+  #generate;
+
+  /**
+   * @param {Function} generate - Called with a random number source; returns a shrink tree made with `shrinkTree()`.
+   */
+  constructor(generate) {
+    this.#generate = generate;
+  }
+
+  /**
+   * Generates a value together with the ways to shrink it.
+   * @param {Function} random - Returns a number in [0, 1), like Math.random().
+   * @returns {{value: *, shrink: Function}} The shrink tree.
+   */
+  generate(random) { return this.#generate(random); }
+
+  /**
+   * Creates an arbitrary whose values are this one's passed through a function. Shrinking still works.
+   * @param {Function} fn - Transforms each value.
+   * @returns {Arbitrary} The new arbitrary.
+   */
+  map(fn) {
+    const mapTree = node => shrinkTree(fn(node.value), function* () {
+      for (const smaller of node.shrink()) yield mapTree(smaller);
+    });
+    return new Arbitrary(random => mapTree(this.generate(random)));
+  }
+}
+
+/**
+ * The built-in arbitraries for `ATestRunner#property()`. Wherever an arbitrary is expected, an array stands for
+ * one of its elements and any other value for itself, as in `genCombos()`.
+ * @type {object}
+ */
+export const arb = Object.freeze({
+  /**
+   * Any integer from `min` to `max`, shrinking towards 0. The bounds and 0 are chosen more often than other values.
+   * @param {object} [options={}] - `min` (default -1000) and `max` (default 1000).
+   * @returns {Arbitrary} The arbitrary.
+   */
+  integer({ min = -1000, max = 1000 } = {}) {
+    const target = Math.min(Math.max(0, min), max);
+    const leaf = value => shrinkTree(value, function* () {
+      for (const smaller of shrinkNumber(value, target, true)) yield leaf(smaller);
+    });
+    return new Arbitrary(random => leaf(random() < 0.1
+      ? [min, max, target][Math.floor(random() * 3)]
+      : min + Math.floor(random() * (max - min + 1))));
+  },
+
+  /**
+   * Any number from `min` to `max`, shrinking towards 0 and whole numbers.
+   * @param {object} [options={}] - `min` (default -1000) and `max` (default 1000).
+   * @returns {Arbitrary} The arbitrary.
+   */
+  float({ min = -1000, max = 1000 } = {}) {
+    const target = Math.min(Math.max(0, min), max);
+    const leaf = value => shrinkTree(value, function* () {
+      for (const smaller of shrinkNumber(value, target, false)) yield leaf(smaller);
+    });
+    return new Arbitrary(random => leaf(random() < 0.1
+      ? [min, max, target][Math.floor(random() * 3)]
+      : min + random() * (max - min)));
+  },
+
+  /**
+   * true or false, shrinking to false.
+   * @returns {Arbitrary} The arbitrary.
+   */
+  boolean() {
+    return arb.integer({ min: 0, max: 1 }).map(Boolean);
+  },
+
+  /**
+   * Always the given value.
+   * @param {*} value - The value.
+   * @returns {Arbitrary} The arbitrary.
+   */
+  constant(value) {
+    return new Arbitrary(() => shrinkTree(value));
+  },
+
+  /**
+   * A string of characters from `chars`, shrinking to shorter strings of earlier characters.
+   * @param {object} [options={}] - `minLength` (default 0), `maxLength` (default 20) and `chars` (default printable ASCII).
+   * @returns {Arbitrary} The arbitrary.
+   */
+  string({ minLength = 0, maxLength = 20, chars = PRINTABLE_ASCII } = {}) {
+    const char = arb.integer({ min: 0, max: chars.length - 1 }).map(index => chars[index]);
+    return arb.array(char, { minLength, maxLength }).map(list => list.join(""));
+  },
+
+  /**
+   * An array of values from `item`, shrinking by removing elements and then by shrinking them.
+   * @param {Arbitrary|*} item - The arbitrary for the elements.
+   * @param {object} [options={}] - `minLength` (default 0) and `maxLength` (default 10).
+   * @returns {Arbitrary} The arbitrary.
+   */
+  array(item, { minLength = 0, maxLength = 10 } = {}) {
+    const element = toArbitrary(item);
+    return new Arbitrary(random => {
+      const length = minLength + Math.floor(random() * (maxLength - minLength + 1));
+      return arrayTree(Array.from({ length }, () => element.generate(random)), minLength);
+    });
+  },
+
+  /**
+   * A plain object with up to `maxKeys` keys from `keys` and values from `values`.
+   * @param {object} [options={}] - `keys` (default short strings), `values` (default integers, strings and booleans)
+   *   and `maxKeys` (default 5).
+   * @returns {Arbitrary} The arbitrary.
+   */
+  object({ keys = arb.string({ minLength: 1, maxLength: 8 }), values = arb.oneOf(arb.integer(), arb.string(), arb.boolean()), maxKeys = 5 } = {}) {
+    const entry = arb.record({ key: keys, value: values });
+    return arb.array(entry, { maxLength: maxKeys }).map(entries => Object.fromEntries(entries.map(({ key, value }) => [key, value])));
+  },
+
+  /**
+   * A value from one of the given arbitraries or values, chosen at random. It shrinks within the one chosen.
+   * @param {...(Arbitrary|*)} options - The arbitraries or values.
+   * @returns {Arbitrary} The arbitrary.
+   */
+  oneOf(...options) {
+    const arbitraries = options.map(option => option instanceof Arbitrary ? option : arb.constant(option));
+    return new Arbitrary(random => arbitraries[Math.floor(random() * arbitraries.length)].generate(random));
+  },
+
+  /**
+   * An object with a value for each key of `shape`, shrinking one key at a time.
+   * @param {object.<string, Arbitrary|Array<*>|*>} shape - The arbitrary for each key.
+   * @returns {Arbitrary} The arbitrary.
+   */
+  record(shape) {
+    const fields = Object.entries(shape).map(([key, value]) => [key, toArbitrary(value)]);
+    return new Arbitrary(random => recordTree(fields.map(([key, field]) => [key, field.generate(random)])));
+  }
+});
+
+/** The characters used by `arb.string()` by default. */
+const PRINTABLE_ASCII = Array.from({ length: 95 }, (_, index) => String.fromCharCode(32 + index)).join("");
+
+/**
+ * Creates a node of a shrink tree: a value and a function that yields the nodes of smaller values.
+ * @param {*} value - The value.
+ * @param {Function} [shrink] - A generator function yielding smaller nodes, simplest first.
+ * @returns {{value: *, shrink: Function}} The node.
+ */
+function shrinkTree(value, shrink = function* () {}) {
+  return { value, shrink };
+}
+
+/**
+ * Converts a `property()` or `arb.record()` argument into an arbitrary: arrays become `arb.oneOf()` their
+ * elements, plain objects become `arb.record()` and other values become `arb.constant()`.
+ * @param {Arbitrary|*} value - The argument.
+ * @returns {Arbitrary} The arbitrary.
+ */
+function toArbitrary(value) {
+  if (value instanceof Arbitrary) return value;
+  if (Array.isArray(value)) return arb.oneOf(...value);
+  if (value?.constructor === Object) return arb.record(value);
+  return arb.constant(value);
+}
+
+/**
+ * Yields numbers between a value and a target, closest to the target first.
+ * @param {number} value - The value to shrink.
+ * @param {number} target - The simplest value.
+ * @param {boolean} integer - True to yield only integers.
+ * @yields {number} The smaller numbers.
+ */
+function* shrinkNumber(value, target, integer) {
+  if (value === target) return;
+  yield target;
+  if (!integer && Math.trunc(value) !== value && Math.trunc(value) !== target) yield Math.trunc(value);
+  let distance = (value - target) / 2;
+  for (let step = 0; step < 20; step++) {
+    if (integer) distance = Math.trunc(distance);
+    if (distance === 0) break;
+    yield value - distance;
+    distance /= 2;
+  }
+  if (integer && Math.abs(value - target) > 1) yield value - Math.sign(value - target);
+}
+
+/**
+ * Creates the shrink tree of an array from the trees of its elements.
+ * @param {Array<object>} nodes - The elements' nodes.
+ * @param {number} minLength - The shortest the array may become.
+ * @returns {{value: Array<*>, shrink: Function}} The node.
+ */
+function arrayTree(nodes, minLength) {
+  return shrinkTree(nodes.map(node => node.value), function* () {
+    for (let size = nodes.length - minLength; size > 0; size = Math.floor(size / 2)) {
+      for (let start = 0; start + size <= nodes.length; start += size) {
+        yield arrayTree([...nodes.slice(0, start), ...nodes.slice(start + size)], minLength);
+      }
+    }
+    for (const [index, node] of nodes.entries()) {
+      for (const smaller of node.shrink()) yield arrayTree(nodes.with(index, smaller), minLength);
+    }
+  });
+}
+
+/**
+ * Creates the shrink tree of a record from the trees of its fields.
+ * @param {Array<Array>} entries - `[key, node]` pairs.
+ * @returns {{value: object, shrink: Function}} The node.
+ */
+function recordTree(entries) {
+  return shrinkTree(Object.fromEntries(entries.map(([key, node]) => [key, node.value])), function* () {
+    for (const [index, [key, node]] of entries.entries()) {
+      for (const smaller of node.shrink()) yield recordTree(entries.with(index, [key, smaller]));
+    }
+  });
+}
+
+/**
+ * Creates a seeded random number generator (mulberry32), so a run can be repeated from its seed.
+ * @param {number} seed - A 32-bit integer.
+ * @returns {Function} Returns a number in [0, 1) on each call.
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = Math.imul(state ^ (state >>> 15), state | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Checks a property against generated inputs. On the first failure the input is shrunk, one smaller value at a
+ * time, while the property keeps failing, for at most 1000 attempts.
+ * @async
+ * @param {Arbitrary} arbitrary - Generates the inputs.
+ * @param {Function} predicate - Fails if it returns false or throws.
+ * @param {object} options - `runs` and `seed`.
+ * @returns {Promise<true>} Resolves with true if the property held for every input.
+ * @throws {AssertionError} With the seed and the smallest failing input found.
+ */
+async function checkProperty(arbitrary, predicate, { runs, seed }) {
+  const check = async value => {
+    try {
+      return (await predicate(value)) === false ? { error: null } : null;
+    } catch (error) {
+      return { error };
+    }
+  };
+  const random = createRandom(seed);
+  for (let run = 1; run <= runs; run++) {
+    let node = arbitrary.generate(random);
+    let failure = await check(node.value);
+    if (!failure) continue;
+
+    let shrinks = 0;
+    let attempts = 0;
+    shrinking: while (attempts < 1000) {
+      for (const smaller of node.shrink()) {
+        if (++attempts > 1000) break shrinking;
+        const smallerFailure = await check(smaller.value);
+        if (smallerFailure) {
+          node = smaller;
+          failure = smallerFailure;
+          shrinks++;
+          continue shrinking;
+        }
+      }
+      break;
+    }
+    const reason = failure.error ? ` It threw: ${failure.error.message ?? format(failure.error)}.` : "";
+    const message = `Property failed on run ${run} of ${runs} with seed ${seed}, counterexample ${format(node.value)} (shrunk ${shrinks} times).${reason} Pass { seed: ${seed} } to replay it.`;
+    const error = new AssertionError(message, { actual: node.value, expected: true, matcher: "property" });
+    error.seed = seed;
+    throw error;
+  }
+  return true;
+}
+
+/**
+ * The timer functions and `Date` as they were when this module loaded. The runner uses these for its own
+ * timeouts and waiting, so that fake timers installed by `useFakeTimers()` do not affect them.
+ * @type {object}
+ */
+const realTimers = {
+  setTimeout: globalThis.setTimeout.bind(globalThis),
+  clearTimeout: globalThis.clearTimeout.bind(globalThis),
+  Date: globalThis.Date
+};
+
+/**
+ * While `ATestOrchestrator.runFile()` imports a test file: a promise that settles once every run the file's
+ * runners have asked for so far has finished. Each new run is chained onto it, so the runners run one after
+ * another in the order they were started. Null at other times.
+ * @type {Promise<void>|null}
+ */
+let fileRuns = null;
+
+/**
+ * Creates a mock function for `ATestRunner#fn()` and `ATestRunner#spyOn()`.
+ * @param {ATestRunner} runner - The runner, whose `equal()` is used by the checks.
+ * @param {Function} [implementation] - What the mock does until told otherwise.
+ * @returns {Function} The mock.
+ */
+function createMock(runner, implementation = () => undefined) {
+  let current = implementation;
+  let once = [];
+  const mock = function (...args) {
+    mock.callCount++;
+    mock.calls.push(args);
+    mock.thisValues.push(this);
+    const behaviour = once.length ? once.shift() : current;
+    try {
+      const value = behaviour.apply(this, args);
+      mock.results.push({ type: "return", value });
+      return value;
+    } catch (error) {
+      mock.results.push({ type: "throw", value: error });
+      throw error;
+    }
+  };
+  return Object.assign(mock, {
+    callCount: 0,
+    calls: [],
+    thisValues: [],
+    results: [],
+    restore() {},
+    reset() {
+      mock.callCount = 0;
+      mock.calls = [];
+      mock.thisValues = [];
+      mock.results = [];
+      once = [];
+      return mock;
+    },
+    runs(fn) { current = fn; return mock; },
+    returns(value) { current = () => value; return mock; },
+    resolves(value) { current = () => Promise.resolve(value); return mock; },
+    rejects(error) { current = () => Promise.reject(error); return mock; },
+    throws(error) { current = () => { throw error; }; return mock; },
+    runsOnce(fn) { once.push(fn); return mock; },
+    returnsOnce(value) { once.push(() => value); return mock; },
+    throwsOnce(error) { once.push(() => { throw error; }); return mock; },
+    calledWith: (...args) => mock.calls.some(call => runner.equal(call, args)),
+    lastCalledWith: (...args) => mock.calls.length > 0 && runner.equal(mock.calls.at(-1), args),
+    calledTimes: count => mock.callCount === count,
+    returned: value => mock.results.some(result => result.type === "return" && runner.equal(result.value, value)),
+    threw: (error) => mock.results.some(result => result.type === "throw" && matchesError(result.value, error))
+  });
+}
+
+/**
+ * Checks a thrown value against what a test expects.
+ * @param {*} thrown - The thrown value.
+ * @param {Function|string|*} [expected] - An error class, a message, or a value compared with `===`. Anything matches if omitted.
+ * @returns {boolean} True if the thrown value matches.
+ */
+function matchesError(thrown, expected) {
+  if (expected === undefined || thrown === expected) return true;
+  if (typeof expected === "function") return thrown instanceof expected;
+  if (typeof expected === "string") return thrown?.message === expected;
+  return false;
+}
+
+/**
+ * Finds a property descriptor on an object or its prototype chain.
+ * @param {object} obj - The object.
+ * @param {string} name - The property name.
+ * @returns {PropertyDescriptor|undefined} The descriptor, if the property exists.
+ */
+function findDescriptor(obj, name) {
+  for (let proto = obj; proto; proto = Object.getPrototypeOf(proto)) {
+    const descriptor = Object.getOwnPropertyDescriptor(proto, name);
+    if (descriptor) return descriptor;
+  }
+}
+
+/**
+ * Serializes a value for a snapshot. The text is meant to be read in a diff: objects, arrays, Maps and Sets
+ * are spread over indented lines, and DOM elements are written as HTML.
+ * @param {*} value - The value.
+ * @param {string} [indent=""] - The indentation of the current line.
+ * @param {Set<object>} [seen] - The objects being serialized, to detect circular references.
+ * @returns {string} The serialized value.
+ */
+function serialize(value, indent = "", seen = new Set()) {
+  if (typeof value === "string") return JSON.stringify(value);
+  if (typeof value === "bigint") return `${value}n`;
+  if (typeof value === "function") return `[Function ${value.name || "anonymous"}]`;
+  if (value === null || typeof value !== "object") return String(value);
+  if (seen.has(value)) return "[Circular]";
+  if (value instanceof Date) return `Date(${isNaN(value) ? "Invalid Date" : value.toISOString()})`;
+  if (value instanceof RegExp) return String(value);
+  if (value instanceof Error) return `${value.name}: ${value.message}`;
+  if (typeof Element !== "undefined" && value instanceof Element) return serializeElement(value);
+
+  seen.add(value);
+  const inner = `${indent}  `;
+  const block = (open, items, close) => items.length ? `${open}\n${items.map(item => inner + item).join(",\n")}\n${indent}${close}` : `${open}${close}`;
+  let text;
+  if (Array.isArray(value)) {
+    text = block("[", value.map(item => serialize(item, inner, seen)), "]");
+  } else if (value instanceof Map) {
+    text = block("Map {", [...value].map(([key, item]) => `${serialize(key, inner, seen)} => ${serialize(item, inner, seen)}`), "}");
+  } else if (value instanceof Set) {
+    text = block("Set {", [...value].map(item => serialize(item, inner, seen)), "}");
+  } else {
+    const name = value.constructor && value.constructor !== Object ? `${value.constructor.name} ` : "";
+    text = block(`${name}{`, Object.keys(value).map(key => `${JSON.stringify(key)}: ${serialize(value[key], inner, seen)}`), "}");
+  }
+  seen.delete(value);
+  return text;
+}
+
+/**
+ * Writes a DOM element as HTML.
+ * @param {Element} element - The element.
+ * @returns {string} Its outerHTML, or HTML built from its tag name, attributes and innerHTML where outerHTML is not available.
+ */
+function serializeElement(element) {
+  if (typeof element.outerHTML === "string") return element.outerHTML;
+  const tag = element.tagName.toLowerCase();
+  const attributes = [...element.attributes].map(attr => ` ${attr.name}="${escapeXml(attr.value)}"`).join("");
+  return `<${tag}${attributes}>${element.innerHTML}</${tag}>`;
+}
+
+/**
+ * Lists the lines that differ between two serialized snapshots, in the form used by `diff()`.
+ * @param {string} actual - The new snapshot.
+ * @param {string} expected - The stored snapshot.
+ * @returns {Array<object>} The differences.
+ */
+function lineDiff(actual, expected) {
+  const actualLines = actual.split("\n");
+  const expectedLines = expected.split("\n");
+  const diffs = [];
+  for (let i = 0; i < Math.max(actualLines.length, expectedLines.length); i++) {
+    const [a, b] = [actualLines[i], expectedLines[i]];
+    if (a === b) continue;
+    const path = `line ${i + 1}`;
+    if (a === undefined) diffs.push({ path, kind: "missing", actual: a, expected: b, message: `${path}: missing, expected ${b.trim()}` });
+    else if (b === undefined) diffs.push({ path, kind: "unexpected", actual: a, expected: b, message: `${path}: unexpected ${a.trim()}` });
+    else diffs.push({ path, kind: "changed", actual: a, expected: b, message: `${path}: ${a.trim()} !== ${b.trim()}` });
+  }
+  return diffs;
+}
+
+/**
+ * Gets the URL of the snapshot file for a test file: the same name with `.snap.json` instead of `.js`.
+ * @param {string} testFileURL - The URL of the test file.
+ * @returns {URL} The URL of the snapshot file.
+ */
+function snapshotURL(testFileURL) {
+  const url = new URL(testFileURL);
+  url.search = "";
+  url.hash = "";
+  url.pathname = url.pathname.replace(/\.[cm]?js$/, "") + ".snap.json";
+  return url;
+}
+
+/**
+ * Gets the URL of the baseline file for a test file: the same name with `.bench.json` instead of `.js`.
+ * @param {string} testFileURL - The URL of the test file.
+ * @returns {URL} The URL of the baseline file.
+ */
+function baselineURL(testFileURL) {
+  const url = snapshotURL(testFileURL);
+  url.pathname = url.pathname.replace(/\.snap\.json$/, ".bench.json");
+  return url;
+}
+
+/**
+ * Reads a JSON object stored for a test file: from the file at `url` when running in Node.js, otherwise from
+ * localStorage under `prefix` and the URL.
+ * @async
+ * @param {URL} url - The URL of the file.
+ * @param {string} prefix - The localStorage key prefix.
+ * @returns {Promise<object>} The stored object, or an empty one if nothing is stored.
+ */
+async function readStore(url, prefix) {
+  if (url.protocol !== "file:") return JSON.parse(globalThis.localStorage?.getItem(`${prefix}:${url}`) ?? "{}");
+  const { readFile } = await import("node:fs/promises");
+  try {
+    return JSON.parse(await readFile(url, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+    return {};
+  }
+}
+
+/**
+ * Writes JSON text stored for a test file, where readStore() reads it.
+ * @async
+ * @param {URL} url - The URL of the file.
+ * @param {string} prefix - The localStorage key prefix.
+ * @param {string} text - The JSON text.
+ * @returns {Promise<void>}
+ */
+async function writeStore(url, prefix, text) {
+  if (url.protocol !== "file:") {
+    globalThis.localStorage?.setItem(`${prefix}:${url}`, text);
+    return;
+  }
+  const { writeFile } = await import("node:fs/promises");
+  await writeFile(url, text);
+}
+
+/**
+ * Formats snapshots or baselines as JSON with sorted keys, so that the files diff cleanly.
+ * @param {object.<string, *>} snapshots - Snapshots or baselines by key.
+ * @returns {string} The JSON text.
+ */
+function snapshotJSON(snapshots) {
+  const sorted = Object.fromEntries(Object.entries(snapshots).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+  return JSON.stringify(sorted, null, 2) + "\n";
+}
+
+/**
+ * Formats a value for use in an assertion message. Also used by the `<atest-results>` element.
+ * @param {*} value - The value to format.
+ * @returns {string} A short, readable representation.
+ */
+export function format(value) {
+  if (typeof value === "string") return JSON.stringify(value);
+  if (typeof value === "function") return value.name ? `[Function ${value.name}]` : "[Function]";
+  if (typeof value === "bigint") return `${value}n`;
+  if (value instanceof RegExp || value instanceof Error || typeof value === "symbol") return String(value);
+  if (value instanceof Map) return `Map(${value.size})`;
+  if (value instanceof Set) return `Set(${value.size})`;
+  if (value !== null && typeof value === "object") {
+    try {
+      return JSON.stringify(value);
+    } catch {
+      return Object.prototype.toString.call(value);
+    }
+  }
+  return String(value);
+}
+
+/**
+ * Benchmarks a function: warms it up, calibrates the number of calls per sample and takes the samples.
+ * A function that returns a promise is awaited on every call.
+ * @async
+ * @param {string} name - The candidate's name.
+ * @param {Function} fn - The function.
+ * @param {object} settings - `warmup`, `samples`, `minSampleTime` and `maxTime`, as for `bench()`.
+ * @param {AbortSignal} [signal] - Stops the benchmark when aborted.
+ * @returns {Promise<object>} The statistics, from `benchStats()`.
+ */
+async function measure(name, fn, { warmup, samples, minSampleTime, maxTime }, signal) {
+  const first = fn();
+  const isAsync = typeof first?.then === "function";
+  await first;
+  const time = async calls => {
+    const start = performance.now();
+    if (isAsync) for (let i = 0; i < calls; i++) await fn();
+    else for (let i = 0; i < calls; i++) fn();
+    return performance.now() - start;
+  };
+
+  await time(warmup);
+  let calls = 1;
+  for (let elapsed = await time(calls); elapsed < minSampleTime && calls < 2 ** 24; elapsed = await time(calls)) {
+    calls *= elapsed > 0 ? Math.min(16, Math.max(2, Math.ceil(minSampleTime / elapsed))) : 16;
+  }
+
+  const timings = [];
+  const start = performance.now();
+  while (timings.length < samples && (timings.length < 3 || performance.now() - start < maxTime)) {
+    signal?.throwIfAborted();
+    timings.push(await time(calls) / calls);
+  }
+  return benchStats(name, timings, calls);
+}
+
+/**
+ * Calculates the statistics of a benchmark's samples.
+ * @param {string} name - The candidate's name.
+ * @param {Array<number>} samples - The time of one call in each sample, in milliseconds.
+ * @param {number} calls - The number of calls in each sample.
+ * @returns {object} `{ name, samples, calls, mean, median, p95, min, max, stddev, opsPerSec }`. Times are in milliseconds.
+ */
+function benchStats(name, samples, calls) {
+  const sorted = [...samples].sort((a, b) => a - b);
+  const mean = samples.reduce((sum, sample) => sum + sample, 0) / samples.length;
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  const variance = samples.length > 1 ? samples.reduce((sum, sample) => sum + (sample - mean) ** 2, 0) / (samples.length - 1) : 0;
+  return {
+    name,
+    samples,
+    calls,
+    mean,
+    median,
+    p95: sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * 0.95) - 1)],
+    min: sorted[0],
+    max: sorted.at(-1),
+    stddev: Math.sqrt(variance),
+    opsPerSec: mean > 0 ? 1000 / mean : Infinity
+  };
+}
+
+/**
+ * Compares a candidate's statistics with a `bench()` budget.
+ * @param {object} stats - The candidate's statistics.
+ * @param {object} budget - The most milliseconds for `mean`, `median`, `p95` and `max`, and the fewest `opsPerSec`.
+ * @returns {Array<string>} A message for each limit the candidate broke.
+ */
+function checkBudget(stats, budget) {
+  return Object.entries(budget).flatMap(([key, limit]) => {
+    if (key === "opsPerSec") {
+      return stats.opsPerSec < limit ? [`${stats.name}: ${Math.round(stats.opsPerSec)} ops/sec is below the budget of ${limit}.`] : [];
+    }
+    if (!["mean", "median", "p95", "max"].includes(key)) throw new TypeError(`Unknown bench() budget '${key}'. Use mean, median, p95, max or opsPerSec.`);
+    return stats[key] > limit ? [`${stats.name}: ${key} ${formatTime(stats[key])} is over the budget of ${limit}ms.`] : [];
+  });
+}
+
+/**
+ * Formats the statistics of a `bench()` result as a table, one row per candidate.
+ * @param {Array<object>} stats - The candidates' statistics.
+ * @returns {Array<string>} The lines of the table.
+ */
+function formatBench(stats) {
+  const rows = [
+    ["", "median", "mean", "p95", "± stddev", "ops/sec", ""],
+    ...stats.map(candidate => [
+      candidate.name,
+      formatTime(candidate.median),
+      formatTime(candidate.mean),
+      formatTime(candidate.p95),
+      formatTime(candidate.stddev),
+      Math.round(candidate.opsPerSec).toLocaleString("en-US"),
+      stats.length < 2 ? "" : candidate.relative === 1 ? "fastest" : `${candidate.relative.toFixed(2)}x slower`
+    ])
+  ];
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(cells => cells[column].length)));
+  return rows.map(cells => cells.map((cell, column) => column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])).join("  ").trimEnd());
+}
+
+/**
+ * Formats a time given in milliseconds, switching to microseconds or nanoseconds for very fast functions.
+ * Also used by the `<atest-results>` element.
+ * @param {number} ms - The time.
+ * @returns {string} The time, e.g. `1.25ms`, `41.2µs` or `380ns`.
+ */
+export function formatTime(ms) {
+  if (ms >= 1) return `${ms.toFixed(2)}ms`;
+  if (ms >= 0.001) return `${Number((ms * 1000).toPrecision(3))}µs`;
+  return `${Number((ms * 1e6).toPrecision(3))}ns`;
+}
+
+/**
+ * Reads the rows of a `test.each()` or `group.each()` table.
+ * @param {Iterable<*>} table - An array or other iterable of rows.
+ * @param {string} name - The method's name, for the error message.
+ * @returns {Array<*>} The rows.
+ * @throws {TypeError} If the table is not iterable.
+ */
+function eachRows(table, name) {
+  if (table === null || typeof table?.[Symbol.iterator] !== "function" || typeof table === "string") {
+    throw new TypeError(`${name} expects an array or an iterable of rows.`);
+  }
+  return [...table];
+}
+
+/**
+ * Fills in the placeholders of a `test.each()` or `group.each()` gist from a row. `%s`, `%d`, `%i`, `%j` and `%o`
+ * take the row's values in turn, `$name` (or `$name.key`) takes a property of an object row, `%#` is the row's
+ * index and `%%` is a percent sign. Placeholders without a value are left as they are.
+ * @param {string} template - The gist.
+ * @param {*} row - The row.
+ * @param {number} index - The row's index in the table.
+ * @returns {string} The gist.
+ */
+function interpolateGist(template, row, index) {
+  const values = Array.isArray(row) ? [...row] : [row];
+  const text = value => typeof value === "string" ? value : format(value);
+  return String(template)
+    .replace(/%([sdijo#%])/g, (placeholder, type) => {
+      if (type === "%") return "%";
+      if (type === "#") return String(index);
+      if (!values.length) return placeholder;
+      const value = values.shift();
+      if (type === "d" || type === "i") return String(type === "i" ? Math.trunc(Number(value)) : Number(value));
+      return type === "s" ? text(value) : format(value);
+    })
+    .replace(/\$([A-Za-z_]\w*(?:\.\w+)*)/g, (placeholder, keyPath) => {
+      if (row === null || typeof row !== "object" || Array.isArray(row)) return placeholder;
+      let value = row;
+      for (const key of keyPath.split(".")) {
+        if (value === null || value === undefined || !(key in Object(value))) return placeholder;
+        value = value[key];
+      }
+      return text(value);
+    });
+}
+
+/**
+ * Adds the parameters of a `test.each()` or `group.each()` row to a result.
+ * @param {object} result - The result.
+ * @param {*} params - The row, or undefined for a test without parameters.
+ * @returns {object} The result, with `params` if there are any.
+ */
+function withParams(result, params) {
+  return params === undefined ? result : { ...result, params };
+}
+
+/**
+ * Tests a filter against a description.
+ * @param {string|RegExp} filter - A RegExp, or a string that must occur in the description.
+ * @param {string} text - The description.
+ * @returns {boolean} True if the filter matches.
+ */
+function matches(filter, text) {
+  return filter instanceof RegExp ? text.search(filter) !== -1 : text.includes(filter);
+}
+
+/**
+ * Makes a value safe to post to another context. Values that cannot be structured-cloned, such as functions
+ * and DOM elements, are replaced by their formatted text; plain objects are handled key by key.
+ * @param {*} value - The value.
+ * @returns {*} The value, or a cloneable stand-in.
+ */
+function cloneable(value) {
+  try {
+    structuredClone(value);
+    return value;
+  } catch {
+    if (value?.constructor === Object) return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, cloneable(item)]));
+    if (Array.isArray(value)) return value.map(cloneable);
+    return format(value);
+  }
+}
+
+/**
+ * Finds the modules a module imports. Static imports, re-exports and `import()` calls with a string literal are found;
+ * bare specifiers such as package names are not, nor are modules on another protocol than the importer.
+ * @param {string} source - The module's source code.
+ * @param {string} url - The module's URL, which the specifiers are resolved against.
+ * @returns {Array<string>} The URLs of the imported modules.
+ */
+function findImports(source, url) {
+  const pattern = /\b(?:import|export)\b[^"'();]*?\bfrom\s*["']([^"']+)["']|\bimport\s*\(?\s*["']([^"']+)["']/g;
+  const protocol = new URL(url).protocol;
+  const found = [];
+  for (const [, from, bare] of source.matchAll(pattern)) {
+    const specifier = from ?? bare;
+    if (!/^(\.{0,2}\/|[a-z][\w+.-]*:)/i.test(specifier)) continue;
+    const imported = new URL(specifier, url);
+    imported.hash = "";
+    if (imported.protocol === protocol) found.push(imported.href);
+  }
+  return found;
+}
+
+/**
+ * Reads the source of a module: from disk for `file:` URLs, otherwise with a fetch that bypasses the HTTP cache.
+ * @async
+ * @param {string} url - The module's URL.
+ * @returns {Promise<string|null>} The source, or null if it cannot be read.
+ */
+async function readModule(url) {
+  try {
+    if (url.startsWith("file:")) {
+      const { readFile } = await import("node:fs/promises");
+      return await readFile(new URL(url), "utf8");
+    }
+    const response = await fetch(url, { cache: "no-store" });
+    return response.ok ? await response.text() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Adds a version to a module URL, so that importing it bypasses any copy already loaded.
+ * @param {string} url - The module's URL.
+ * @param {number} version - The version.
+ * @returns {string} The versioned URL.
+ */
+function versionedURL(url, version) {
+  const versioned = new URL(url);
+  versioned.searchParams.set("atestrunner-version", version);
+  return versioned.href;
+}
+
+/**
+ * Calls a method on every reporter in a list, for ATestRunner and ATestOrchestrator. A reporter that throws is
+ * removed from the list and the error is reported to the remaining reporters.
+ * @param {Array<object>} reporters - The active reporters. A reporter that throws is removed from this array.
+ * @param {string} method - 'report', 'groupStart', 'groupEnd', 'progress' or 'complete'.
+ * @param {Array<*>} args - The arguments to pass.
+ * @param {Function} [onError] - Called with the reporter and the error after a reporter is removed.
+ */
+function fanOut(reporters, method, args, onError) {
+  for (const reporter of [...reporters]) {
+    if (!reporters.includes(reporter)) continue;
+    try {
+      reporter[method]?.(...args);
+    } catch (error) {
+      reporters.splice(reporters.indexOf(reporter), 1);
+      onError?.(reporter, error);
+      const name = reporter.constructor?.name ?? "Reporter";
+      fanOut(reporters, "report", [{ type: "test", gist: `${name}.${method}() threw and the reporter was disabled`, verdict: "error", result: error, expect: null, line: null, path: [] }], onError);
+    }
+  }
+}
+
+/**
+ * Maps each verdict to the key it is counted under in run and group summaries.
+ * @type {object.<string, string>}
+ */
+const COUNT_KEYS = { pass: "passed", flaky: "flaky", fail: "failed", error: "errored", skip: "skipped", todo: "todo", cancelled: "cancelled", regressed: "regressed", improved: "improved" };
+
+/**
+ * The verdicts that make a group, and the run, fail.
+ * @type {Set<string>}
+ */
+const FAILING_VERDICTS = new Set(["fail", "error", "cancelled", "regressed"]);
+
+/**
+ * A set of zeroed counts, with the keys used in run, group and file summaries.
+ * @type {object.<string, number>}
+ */
+const ZERO_COUNTS = Object.freeze({ ...Object.fromEntries(Object.values(COUNT_KEYS).map(key => [key, 0])), total: 0 });
+
+/**
+ * The verdict whose color TerminalReporter uses for each count in the summary line.
+ * @type {object.<string, string>}
+ */
+const TERMINAL_COUNT_COLORS = { passed: "pass", flaky: "flaky", failed: "fail", errored: "error", skipped: "skip", todo: "todo", cancelled: "cancelled", regressed: "regressed", improved: "improved" };
+
+/**
+ * Describes the counts of a summary in words, leaving out those that are zero.
+ * @param {object} summary - A run or group summary.
+ * @param {Function} [decorate] - Called with each count's key and text, e.g. to add color.
+ * @returns {string} E.g. "42 passed, 3 failed".
+ */
+function summarize(summary, decorate = (key, text) => text) {
+  const parts = Object.values(COUNT_KEYS)
+    .filter(key => summary[key] > 0)
+    .map(key => decorate(key, `${summary[key]} ${key}`));
+  return parts.length ? parts.join(", ") : "0 tests";
+}
+
+/**
+ * Checks whether a value can be used as a reporter.
+ * @param {*} value - The value.
+ * @returns {boolean} True if the value is an object with a `report` method.
+ */
+function isReporter(value) { return value !== null && typeof value === "object" && typeof value.report === "function"; }
+
+/**
+ * Checks whether a value is a non-null object, i.e. one that a diff can descend into.
+ * @param {*} value - The value.
+ * @returns {boolean} True for objects, arrays, Maps, Sets, etc.
+ */
+function isObject(value) { return value !== null && typeof value === "object"; }
+
+/**
+ * Gets a short name for the type of a value, for use in difference messages.
+ * @param {*} value - The value.
+ * @returns {string} The constructor name, or 'null prototype' for objects without one.
+ */
+function typeName(value) {
+  const proto = Object.getPrototypeOf(value);
+  return proto === null ? "null prototype" : proto.constructor?.name ?? "Object";
+}
+
+/**
+ * Appends a property key to a path, using dot notation where the key is a valid identifier.
+ * @param {string} path - The path so far.
+ * @param {string|symbol} key - The property key.
+ * @returns {string} The extended path, e.g. `pojo.items`, `pojo["first name"]` or `pojo[Symbol(id)]`.
+ */
+function propertyPath(path, key) {
+  if (typeof key === "symbol") return `${path}[${String(key)}]`;
+  if (/^[A-Za-z_$][\w$]*$/.test(key)) return path ? `${path}.${key}` : key;
+  return `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Fills in the defaults of the options of `equal()`, and splits `ignore` into key names and paths:
+ * an entry containing `.` or `[` is a path.
+ * @param {object} [options={}] - The options passed to `equal()`.
+ * @returns {object} The complete options, with `ignoreKeys` and `ignorePaths` sets.
+ */
+function equalityOptions({ ignorePrototypes = false, ignore = [], symbols = false, nonEnumerable = false, ignoreUndefined = false, equalNaN = false, tolerance = 0 } = {}) {
+  const isPath = entry => /[.[]/.test(entry);
+  return {
+    ignorePrototypes, symbols, nonEnumerable, ignoreUndefined, equalNaN, tolerance,
+    ignoreKeys: new Set(ignore.filter(entry => !isPath(entry))),
+    ignorePaths: new Set(ignore.filter(isPath))
+  };
+}
+
+/**
+ * Lists the keys of an object that a deep comparison looks at: its own enumerable string keys, and, depending on
+ * the options, its symbol and non-enumerable keys, less ignored keys and, with `ignoreUndefined`, undefined properties.
+ * @param {object} obj - The object.
+ * @param {string} path - The path of the object.
+ * @param {object} options - The comparison options, from `equalityOptions()`.
+ * @returns {Array<string|symbol>} The keys.
+ */
+function comparedKeys(obj, path, options) {
+  const keys = options.nonEnumerable ? Object.getOwnPropertyNames(obj) : Object.keys(obj);
+  if (options.symbols) {
+    keys.push(...Object.getOwnPropertySymbols(obj).filter(key => options.nonEnumerable || Object.prototype.propertyIsEnumerable.call(obj, key)));
+  }
+  return keys.filter(key =>
+    !options.ignoreKeys.has(key) &&
+    !options.ignorePaths.has(propertyPath(path, key)) &&
+    !(options.ignoreUndefined && obj[key] === undefined));
+}
+
+/**
+ * @class ATestReporter
+ * @abstract
+ * Abstract base class for all test reporters. Subclasses must implement the methods of this class
+ * to handle reporting of test results in different environments (e.g., console, DOM, etc.).
+ * Reporters don't have to extend this class: `output` and `addReporter()` accept any object with these methods.
+ */
+export class ATestReporter {
+  /**
+   * Reports an individual test result.
+   * @param {object} result - The result object for a single test.
+   * @throws {Error} If the method is not implemented by a subclass.
+   */
+  report(result) { throw new Error("ATestReporter.report() must be implemented by subclasses."); }
+
+  /**
+   * Signals the start of a test group. Groups can be nested; every groupStart() is matched by a groupEnd().
+   * @param {string} gist - The description or name of the test group.
+   * @param {Array<string>} path - The gists of this group and its enclosing groups, outermost first.
+   * @throws {Error} If the method is not implemented by a subclass.
+   */
+  groupStart(gist, path) { throw new Error("ATestReporter.groupStart() must be implemented by subclasses."); }
+
+  /**
+   * Signals the end of a test group.
+   * @param {object} group - The group result.
+   * @param {string} group.gist - The description of the group.
+   * @param {Array<string>} group.path - The gists of this group and its enclosing groups.
+   * @param {string} group.verdict - 'fail' if any test in the group or its nested groups failed or errored, otherwise 'pass'.
+   * @param {number} group.duration - How long the group took, including its hooks, in milliseconds.
+   * @param {number} group.passed - The number of passing tests in the group and its nested groups. Likewise
+   *   `flaky`, `failed`, `errored`, `skipped`, `todo`, `cancelled` and `total`.
+   * @throws {Error} If the method is not implemented by a subclass.
+   */
+  groupEnd(group) { throw new Error("ATestReporter.groupEnd() must be implemented by subclasses."); }
+
+  /**
+   * Reports the progress of the test suite execution.
+   * @param {number} loaded - The number of tests that have been processed.
+   * @param {number} total - The total number of tests in the queue.
+   * @throws {Error} If the method is not implemented by a subclass.
+   */
+  progress(loaded, total) { throw new Error("ATestReporter.progress() must be implemented by subclasses."); }
+
+  /**
+   * Signals the completion of the entire test suite.
+   * @param {string} verdict - The final verdict of the test suite ('pass' or 'fail').
+   * @param {object} summary - Totals for the run.
+   * @param {number} summary.passed - The number of passing tests. Likewise `flaky`, `failed`, `errored`, `skipped`, `todo`, `cancelled` and `total`.
+   * @param {number} summary.duration - How long the run took, in milliseconds.
+   * @param {Array<object>} summary.groups - The result of every group, as passed to groupEnd(), in the order the groups finished.
+   * @throws {Error} If the method is not implemented by a subclass.
+   */
+  complete(verdict, summary) { throw new Error("ATestReporter.complete() must be implemented by subclasses."); }
+}
+
+/**
+ * @class ConsoleReporter
+ * @extends ATestReporter
+ * A test reporter that outputs results to the browser's console.
+ */
+export class ConsoleReporter extends ATestReporter {
+  /**
+   * Gets the CSS style string for a given verdict.
+   * @private
+   * @param {string} verdict - The verdict string (e.g., "pass", "fail").
+   * @returns {string} The CSS style string for console logging.
+   */
+  #getStyle(verdict) {
+    switch (verdict) {
+      case "pass": return "color:limegreen; font-weight:bold";
+      case "fail": return "color:red; font-weight:bold";
+      case "info": return "color:SandyBrown; font-weight:bold";
+      case "GROUP_START": return "color:darkorange; font-weight:bold";
+      case "error": return "color:fuchsia; font-weight:bold;";
+      case "slow": return "color:orange";
+      case "flaky": return "color:goldenrod; font-weight:bold";
+      case "cancelled": return "color:gray; font-weight:bold";
+      case "regressed": return "color:crimson; font-weight:bold";
+      case "improved": return "color:teal; font-weight:bold";
+      default: return "color:dodgerblue; font-weight:bold";
+    }
+  }
+
+  /**
+   * @override
+   * Reports an individual test result to the console, inside a collapsed group.
+   * @param {object} result - The result object for a single test.
+   * @param {string} result.gist - The description of the test.
+   * @param {string} result.verdict - The verdict of the test ('pass', 'fail', etc.).
+   * @param {*} result.result - The actual result returned by the test function.
+   * @param {*} result.expect - The expected result.
+   * @param {string|null} result.line - The line number where the test was defined.
+   * @param {Array<string>} result.path - The gists of the enclosing groups.
+   * @param {string} [result.message] - An informational message, or the message of a failed `expect()` matcher.
+   * @param {Array<object>} [result.diff] - The differences between the result and the expected value, for failed comparisons.
+   * @param {number} [result.duration] - How long the test took, in milliseconds.
+   * @param {boolean} [result.slow] - True if the test reached the runner's `slowThreshold`.
+   * @param {*} [result.params] - The row of a `test.each()` or `group.each()` table the test was defined for.
+   * @param {boolean} [result.bench] - True if `result.result` holds the statistics of a `bench()` test.
+   * @param {string} [result.type] - The type of report (e.g., "info").
+   */
+  report(result) {
+    const { gist, verdict, result: res, expect, line, message, type } = result;
+
+    if (type === "custom_log") {
+      console.groupCollapsed(verdict);
+      console.log(res);
+      console.groupEnd();
+      return;
+    }
+
+    if (type === "info") {
+      console.log("%cINFO", this.#getStyle("info"), message);
+      return;
+    }
+    const logArgs = result.slow ?
+      [`%c${verdict.toUpperCase()}%c %s %c(slow: ${Math.round(result.duration)}ms)`, this.#getStyle(verdict), "", gist, this.#getStyle("slow")] :
+      [`%c${verdict.toUpperCase()}`, this.#getStyle(verdict), gist];
+    console.groupCollapsed(...logArgs);
+    if (message) console.log(message);
+    if (result.bench) {
+      console.table(Object.fromEntries(res.map(({ name, samples, ...stats }) => [name, stats])));
+      if (expect) console.log("Budget:", expect);
+    } else {
+      console.log("Result:", res);
+      console.log("Expected:", expect);
+    }
+    if (result.params !== undefined) console.log("Parameters:", result.params);
+    if (result.diff?.length) console.log("Diff:\n" + result.diff.map(d => `  ${d.message}`).join("\n"));
+    if (result.attempts) console.log("Attempts:", result.attemptResults.map(attempt => attempt.verdict).join(", "));
+    if (line) console.log("Line:", line);
+    if (result.duration !== undefined) console.log("Duration:", `${result.duration.toFixed(1)}ms`);
+    console.groupEnd();
+  }
+
+  /**
+   * @override
+   * Creates a new collapsible group in the console. Nested groups are indented inside their parent.
+   * @param {string} gist - The name of the test group.
+   * @param {Array<string>} path - The gists of this group and its enclosing groups.
+   */
+  groupStart(gist, path) { console.group(`%c${gist}`, this.#getStyle("GROUP_START")); }
+
+  /**
+   * @override
+   * Logs the group verdict and closes the current console group.
+   * @param {object} group - The group result.
+   */
+  groupEnd(group) {
+    console.log(`%c${group.verdict.toUpperCase()}`, this.#getStyle(group.verdict), group.gist);
+    console.groupEnd();
+  }
+
+  /**
+   * @override
+   * This is a no-op for the ConsoleReporter as there's no visual progress bar.
+   * @param {number} loaded - The number of tests processed.
+   * @param {number} total - The total number of tests.
+   */
+  progress(loaded, total) {}
+
+  /**
+   * @override
+   * Logs a table of counts followed by a final "DONE" message.
+   * @param {string} verdict - The final verdict of the test suite.
+   * @param {object} [summary] - Totals for the run.
+   */
+  complete(verdict, summary) {
+    if (summary) {
+      const { passed, flaky, failed, errored, skipped, todo, cancelled, regressed, improved, total } = summary;
+      console.table({ passed, flaky, failed, errored, skipped, todo, cancelled, regressed, improved, total });
+    }
+    const time = summary?.duration !== undefined ? ` in ${Math.round(summary.duration)}ms` : "";
+    console.log(`%cDONE${time}`, this.#getStyle("done"));
+  }
+}
+
+/**
+ * @class TerminalReporter
+ * @extends ATestReporter
+ * A test reporter that writes ANSI-colored results to a terminal. Used by the headless CLI.
+ */
+export class TerminalReporter extends ATestReporter {
+  /**
+   * Wraps text in the ANSI color code for a given verdict.
+   * @private
+   * @param {string} verdict - The verdict string (e.g., "pass", "fail").
+   * @param {string} text - The text to colorize.
+   * @returns {string} The colorized text.
+   */
+  #paint(verdict, text) {
+    const codes = { pass: 32, flaky: 33, fail: 31, error: 35, info: 33, GROUP_START: 1, skip: 36, todo: 34, cancelled: 90, slow: 33, regressed: 91, improved: 96 };
+    return `\x1b[${codes[verdict] ?? 34}m${text}\x1b[0m`;
+  }
+
+  /**
+   * @override
+   * Writes an individual test result. Details are only printed for failures and errors.
+   * @param {object} result - The result object for a single test.
+   */
+  report(result) {
+    const { gist, verdict, result: res, expect, line, message, type } = result;
+
+    if (type === "custom_log") {
+      console.log(this.#paint(verdict, verdict), res);
+      return;
+    }
+
+    if (type === "info") {
+      console.log(this.#paint("info", "INFO"), message);
+      return;
+    }
+
+    const slow = result.slow ? [this.#paint("slow", `(slow: ${Math.round(result.duration)}ms)`)] : [];
+    const attempts = result.attempts ? [this.#paint("flaky", `(attempts: ${result.attempts})`)] : [];
+    console.log(this.#paint(verdict, verdict.toUpperCase()), gist, ...attempts, ...slow);
+    if (verdict === "regressed" || verdict === "improved") {
+      console.group();
+      console.log(message);
+      console.groupEnd();
+    }
+    if (result.bench && verdict !== "fail") {
+      console.group();
+      formatBench(res).forEach(row => console.log(row));
+      console.groupEnd();
+    }
+    if (verdict !== "fail" && verdict !== "error") return;
+    console.group();
+    if (verdict === "error" && res instanceof Error) {
+      console.log(res.stack ?? res.message);
+    } else if (result.bench) {
+      console.log(message);
+      formatBench(res).forEach(row => console.log(row));
+    } else {
+      if (message) console.log(message);
+      console.log("Result:", res);
+      console.log("Expected:", expect);
+      if (result.diff?.length) {
+        console.log("Diff:");
+        result.diff.forEach(d => console.log(`  ${this.#paint("fail", d.message)}`));
+      }
+    }
+    if (result.params !== undefined) console.log("Parameters:", format(result.params));
+    if (line) console.log("Line:", line);
+    console.groupEnd();
+  }
+
+  /**
+   * @override
+   * Writes the group name and indents the results that follow.
+   * @param {string} gist - The name of the test group.
+   * @param {Array<string>} path - The gists of this group and its enclosing groups.
+   */
+  groupStart(gist, path) { console.group(this.#paint("GROUP_START", gist)); }
+
+  /**
+   * @override
+   * Removes the indentation added by groupStart().
+   * @param {object} group - The group result.
+   */
+  groupEnd(group) { console.groupEnd(); }
+
+  /**
+   * @override
+   * This is a no-op for the TerminalReporter.
+   * @param {number} loaded - The number of tests processed.
+   * @param {number} total - The total number of tests.
+   */
+  progress(loaded, total) {}
+
+  /**
+   * @override
+   * Writes the counts and the final verdict.
+   * @param {string} verdict - The final verdict of the test suite.
+   * @param {object} [summary] - Totals for the run.
+   */
+  complete(verdict, summary) {
+    if (summary) console.log(summarize(summary, (key, text) => this.#paint(TERMINAL_COUNT_COLORS[key], text)));
+    const time = summary?.duration !== undefined ? ` (${Math.round(summary.duration)}ms)` : "";
+    console.log(this.#paint(verdict, `DONE: ${verdict.toUpperCase()}`) + time);
+  }
+}
+
+/**
+ * @class JUnitReporter
+ * @extends ATestReporter
+ * A test reporter that builds a JUnit XML document. Each group becomes a `<testsuite>`; tests outside
+ * any group go into a suite named after the reporter. The same instance can be shared by several runners,
+ * in which case the document covers all of them.
+ */
+export class JUnitReporter extends ATestReporter {
+  /** @type {string} The XML document, rebuilt each time a runner completes. */
+  output = "";
+
+  /** @private @type {string} */
+  #name;
+  /** @private @type {string|null} */
+  #file;
+  /** @private @type {Function|null} */
+  #onComplete;
+  /** @private @type {Array<object>} Every suite, in the order it started. */
+  #suites = [];
+  /** @private @type {Array<object>} The suites of the groups currently open. */
+  #stack = [];
+
+  /**
+   * Creates an instance of JUnitReporter.
+   * @param {object} [options={}] - Options.
+   * @param {string} [options.name="ATestRunner"] - The name of the `<testsuites>` element and of the top-level suite.
+   * @param {string|null} [options.file=null] - The test file, added to each `<testcase>` as the `file` attribute.
+   * @param {Function|null} [options.onComplete=null] - Called with the XML and the reporter each time a runner completes.
    */
-  #areSetsEqual(setA, setB, seen) {
-    if (setA.size !== setB.size) return false;
-    const bValues = [...setB];
-    for (const aValue of setA) {
-      const idx = bValues.findIndex(bValue => this.#deepEqual(aValue, bValue, seen));
-      if (idx === -1) return false;
-      bValues.splice(idx, 1);
-    }
-    return true;
+  constructor({ name = "ATestRunner", file = null, onComplete = null } = {}) {
+    super();
+    this.#name = name;
+    this.#file = file ?? null;
+    this.#onComplete = onComplete;
   }
 
   /**
-   * Compares two ArrayBuffers or TypedArrays for equality.
+   * Gets the suite that results are currently added to, creating the top-level suite if needed.
    * @private
-   * @param {ArrayBuffer|DataView|TypedArray} objA - The first buffer/view.
-   * @param {ArrayBuffer|DataView|TypedArray} objB - The second buffer/view.
-   * @returns {boolean} True if the underlying data is identical.
+   * @returns {object} The current suite.
    */
-  #areTypedArraysEqual(objA, objB) {
-    if (objA.byteLength !== objB.byteLength) return false;
-    const viewA = new Uint8Array(objA.buffer, objA.byteOffset, objA.byteLength);
-    const viewB = new Uint8Array(objB.buffer, objB.byteOffset, objB.byteLength);
-    for (let i = 0; i < objA.byteLength; i++) {
-      if (viewA[i] !== viewB[i]) return false;
+  #currentSuite() {
+    if (this.#stack.length) return this.#stack.at(-1);
+    let suite = this.#suites.find(s => s.path.length === 0);
+    if (!suite) {
+      suite = { name: this.#name, path: [], cases: [], out: [], time: 0 };
+      this.#suites.unshift(suite);
     }
-    return true;
+    return suite;
   }
 
   /**
-   * Compares two plain objects for deep equality.
-   * @private
-   * @param {object} objA - The first object.
-   * @param {object} objB - The second object.
-   * @param {Map<object, object>} seen - A map to track circular references.
-   * @returns {boolean} True if the objects are deeply equal.
+   * @override
+   * Adds a `<testcase>` for a test result. Info and log messages go into the suite's `<system-out>`.
+   * @param {object} result - The result object for a single test.
    */
-  #areObjectsEqual(objA, objB, seen) {
-    const keysA = Object.keys(objA);
-    if (keysA.length !== Object.keys(objB).length) return false;
-    for (const key of keysA) {
-      if (!Object.prototype.hasOwnProperty.call(objB, key) || !this.#deepEqual(objA[key], objB[key], seen)) {
-        return false;
-      }
+  report(result) {
+    const suite = this.#currentSuite();
+    if (result.type === "info" || result.type === "custom_log") {
+      suite.out.push(result.type === "info" ? result.message : `${result.verdict}: ${format(result.result)}`);
+      return;
     }
-    return true;
+    suite.cases.push(result);
+    suite.time += result.duration ?? 0;
   }
 
-  // --- GETTERS / SETTERS ---
-
-  /**
-   * Gets the current output configuration.
-   * @returns {string|HTMLElement|null} The output target.
-   */
-  get output() { return this.#outputConfig; }
   /**
-   * Sets the output target for the reporter.
-   * @param {string|HTMLElement|null} target - Can be 'console', a CSS selector string, or an HTMLElement.
+   * @override
+   * Starts a new `<testsuite>` named after the group path.
+   * @param {string} gist - The name of the group.
+   * @param {Array<string>} path - The gists of this group and its enclosing groups.
    */
-  set output(target) { this.#outputConfig = target; }
+  groupStart(gist, path) {
+    const suite = { name: path.join(" > "), path, cases: [], out: [], start: performance.now(), time: 0 };
+    this.#suites.push(suite);
+    this.#stack.push(suite);
+  }
 
   /**
-   * Gets the final verdict of the test suite after it has run.
-   * @returns {string} The final verdict ('pass' or 'fail').
+   * @override
+   * Closes the current `<testsuite>`.
+   * @param {object} group - The group result.
    */
-  get finalVerdict() { return this.#finalVerdict; }
-}
+  groupEnd(group) {
+    const suite = this.#stack.pop();
+    if (suite) suite.time = group.duration ?? performance.now() - suite.start;
+  }
 
-/**
- * @class ATestReporter
- * @abstract
- * Abstract base class for all test reporters. Subclasses must implement the methods of this class
- * to handle reporting of test results in different environments (e.g., console, DOM, etc.).
- */
-class ATestReporter {
   /**
-   * Reports an individual test result.
-   * @param {object} result - The result object for a single test.
-   * @throws {Error} If the method is not implemented by a subclass.
+   * @override
+   * This is a no-op for the JUnitReporter.
+   * @param {number} loaded - The number of tests processed.
+   * @param {number} total - The total number of tests.
    */
-  report(result) { throw new Error("ATestReporter.report() must be implemented by subclasses."); }
+  progress(loaded, total) {}
 
   /**
-   * Signals the start of a test group.
-   * @param {string} gist - The description or name of the test group.
-   * @throws {Error} If the method is not implemented by a subclass.
+   * @override
+   * Builds the XML document, stores it in `output` and passes it to `onComplete`.
+   * @param {string} verdict - The final verdict.
+   * @param {object} [summary] - Totals for the run.
    */
-  groupStart(gist) { throw new Error("ATestReporter.groupStart() must be implemented by subclasses."); }
+  complete(verdict, summary) {
+    const suites = this.#suites.filter(suite => suite.cases.length || suite.out.length);
+    const overall = this.#count(suites.flatMap(suite => suite.cases));
+    const time = suites.reduce((sum, suite) => sum + suite.time, 0);
+    const lines = [
+      `<?xml version="1.0" encoding="UTF-8"?>`,
+      `<testsuites name="${escapeXml(this.#name)}" tests="${overall.tests}" failures="${overall.failures}" errors="${overall.errors}" skipped="${overall.skipped}" time="${seconds(time)}">`
+    ];
+    for (const suite of suites) {
+      const counts = this.#count(suite.cases);
+      lines.push(`  <testsuite name="${escapeXml(suite.name)}" tests="${counts.tests}" failures="${counts.failures}" errors="${counts.errors}" skipped="${counts.skipped}" time="${seconds(suite.time)}">`);
+      suite.cases.forEach(result => lines.push(...this.#testCase(result, suite)));
+      if (suite.out.length) lines.push(`    <system-out>${escapeXml(suite.out.join("\n"))}</system-out>`);
+      lines.push(`  </testsuite>`);
+    }
+    lines.push(`</testsuites>`);
+    this.output = lines.join("\n");
+    this.#onComplete?.(this.output, this);
+  }
 
   /**
-   * Signals the end of a test group.
-   * @throws {Error} If the method is not implemented by a subclass.
+   * Wraps the XML document in a Blob, e.g. for downloading in a browser.
+   * @returns {Blob} The document, with the type 'application/xml'.
    */
-  groupEnd() { throw new Error("ATestReporter.groupEnd() must be implemented by subclasses."); }
+  toBlob() { return new Blob([this.output], { type: "application/xml" }); }
 
   /**
-   * Reports the progress of the test suite execution.
-   * @param {number} loaded - The number of tests that have been processed.
-   * @param {number} total - The total number of tests in the queue.
-   * @throws {Error} If the method is not implemented by a subclass.
+   * Counts the results in a list by outcome.
+   * @private
+   * @param {Array<object>} cases - Test results.
+   * @returns {{tests: number, failures: number, errors: number, skipped: number}} The counts.
    */
-  progress(loaded, total) { throw new Error("ATestReporter.progress() must be implemented by subclasses."); }
+  #count(cases) {
+    return {
+      tests: cases.length,
+      failures: cases.filter(result => result.verdict === "fail" || result.verdict === "regressed").length,
+      errors: cases.filter(result => result.verdict === "error").length,
+      skipped: cases.filter(result => ["skip", "todo", "cancelled"].includes(result.verdict)).length
+    };
+  }
 
   /**
-   * Signals the completion of the entire test suite.
-   * @param {string} verdict - The final verdict of the test suite ('pass' or 'fail').
-   * @throws {Error} If the method is not implemented by a subclass.
+   * Builds the lines of a `<testcase>` element.
+   * @private
+   * @param {object} result - The test result.
+   * @param {object} suite - The suite the result belongs to.
+   * @returns {Array<string>} The lines of XML.
    */
-  complete(verdict) { throw new Error("ATestReporter.complete() must be implemented by subclasses."); }
+  #testCase(result, suite) {
+    const attributes = [
+      `name="${escapeXml(result.gist)}"`,
+      `classname="${escapeXml(suite.name)}"`,
+      `time="${seconds(result.duration ?? 0)}"`
+    ];
+    if (this.#file) attributes.push(`file="${escapeXml(this.#file)}"`);
+    if (result.line) attributes.push(`line="${escapeXml(result.line)}"`);
+    const open = `    <testcase ${attributes.join(" ")}`;
+    // The parameters of a test.each() row are written as a testcase property.
+    const element = (...children) => {
+      if (result.params !== undefined) children.unshift(`      <properties><property name="params" value="${escapeXml(format(result.params))}"/></properties>`);
+      return children.length ? [`${open}>`, ...children, `    </testcase>`] : [`${open}/>`];
+    };
+
+    if (result.verdict === "skip") return element(`      <skipped/>`);
+    if (result.verdict === "todo") return element(`      <skipped message="todo"/>`);
+    if (result.verdict === "cancelled") return element(`      <skipped message="cancelled"/>`);
+    if (result.verdict === "flaky") {
+      // Failed attempts of a test that passed on a retry, in the form used by Maven Surefire.
+      const failures = result.attemptResults.filter(attempt => attempt.verdict !== "pass").map(attempt => {
+        const name = attempt.verdict === "error" ? "flakyError" : "flakyFailure";
+        const message = attempt.message ?? (attempt.result instanceof Error ? attempt.result.message : `Got ${format(attempt.result)}`);
+        return `      <${name} message="${escapeXml(message)}"/>`;
+      });
+      return element(...failures);
+    }
+    if (result.verdict === "regressed") {
+      return element(`      <failure message="${escapeXml(result.message.split("\n")[0])}" type="regressed">${escapeXml(result.message)}</failure>`);
+    }
+    if (result.verdict === "improved") return element(`      <system-out>${escapeXml(result.message)}</system-out>`);
+    if (result.verdict === "fail") {
+      const message = result.message ?? `Expected ${format(result.expect)} but got ${format(result.result)}`;
+      const body = result.bench
+        ? formatBench(result.result)
+        : [`Result: ${format(result.result)}`, `Expected: ${format(result.expect)}`, ...(result.diff ?? []).map(d => d.message)];
+      return element(`      <failure message="${escapeXml(message)}">${escapeXml(body.join("\n"))}</failure>`);
+    }
+    if (result.verdict === "error") {
+      const error = result.result;
+      const message = error instanceof Error ? error.message : format(error);
+      const type = error instanceof Error ? error.name : "Error";
+      const stack = error instanceof Error ? error.stack ?? message : message;
+      return element(`      <error message="${escapeXml(message)}" type="${escapeXml(type)}">${escapeXml(stack)}</error>`);
+    }
+    return element();
+  }
 }
 
 /**
- * @class ConsoleReporter
+ * @class TapReporter
  * @extends ATestReporter
- * A test reporter that outputs results to the browser's console.
+ * A test reporter that builds a TAP version 13 document. Groups are written as comments and failures
+ * include a YAML diagnostic block. The same instance can be shared by several runners.
  */
-class ConsoleReporter extends ATestReporter {
+export class TapReporter extends ATestReporter {
+  /** @type {string} The TAP document, rebuilt each time a runner completes. */
+  output = "";
+
+  /** @private @type {string|null} */
+  #file;
+  /** @private @type {Function|null} */
+  #onComplete;
+  /** @private @type {Array<string>} The lines written so far, excluding the header and plan. */
+  #lines = [];
+  /** @private @type {number} The number of test points written so far. */
+  #count = 0;
+
   /**
-   * Gets the CSS style string for a given verdict.
-   * @private
-   * @param {string} verdict - The verdict string (e.g., "pass", "fail").
-   * @returns {string} The CSS style string for console logging.
+   * Creates an instance of TapReporter.
+   * @param {object} [options={}] - Options.
+   * @param {string|null} [options.file=null] - The test file, added to the diagnostics of failures.
+   * @param {Function|null} [options.onComplete=null] - Called with the TAP text and the reporter each time a runner completes.
    */
-  #getStyle(verdict) {
-    switch (verdict) {
-      case "pass": return "color:limegreen; font-weight:bold";
-      case "fail": return "color:red; font-weight:bold";
-      case "info": return "color:SandyBrown; font-weight:bold";
-      case "GROUP_START": return "color:darkorange; font-weight:bold";
-      case "error": return "color:fuchsia; font-weight:bold;";
-      default: return "color:dodgerblue; font-weight:bold";
-    }
+  constructor({ file = null, onComplete = null } = {}) {
+    super();
+    this.#file = file ?? null;
+    this.#onComplete = onComplete;
   }
 
   /**
    * @override
-   * Reports an individual test result to the console, inside a collapsed group.
+   * Writes a test point. Info and log messages are written as comments.
    * @param {object} result - The result object for a single test.
-   * @param {string} result.gist - The description of the test.
-   * @param {string} result.verdict - The verdict of the test ('pass', 'fail', etc.).
-   * @param {*} result.result - The actual result returned by the test function.
-   * @param {*} result.expect - The expected result.
-   * @param {string|null} result.line - The line number where the test was defined.
-   * @param {string} [result.message] - An informational message.
-   * @param {string} [result.type] - The type of report (e.g., "info").
    */
   report(result) {
-    const { gist, verdict, result: res, expect, line, message, type } = result;
-
-    if (type === "custom_log") {
-      console.groupCollapsed(verdict);
-      console.log(res);
-      console.groupEnd();
+    if (result.type === "info" || result.type === "custom_log") {
+      const text = result.type === "info" ? result.message : `${result.verdict}: ${format(result.result)}`;
+      this.#lines.push(...String(text).split("\n").map(line => `# ${line}`));
       return;
     }
 
-    if (type === "info") {
-      console.log("%cINFO", this.#getStyle("info"), message);
+    const number = ++this.#count;
+    const description = String(result.gist).replace(/#/g, "\\#").replace(/\n/g, " ");
+    if (result.verdict === "skip" || result.verdict === "todo") {
+      this.#lines.push(`${result.verdict === "todo" ? "not ok" : "ok"} ${number} - ${description} # ${result.verdict.toUpperCase()}`);
       return;
     }
-    const logArgs = [`%c${verdict.toUpperCase()}`, this.#getStyle(verdict), gist];
-    console.groupCollapsed(...logArgs);
-    console.log("Result:", res);
-    console.log("Expected:", expect);
-    if (line) console.log("Line:", line);
-    console.groupEnd();
+    if (result.verdict === "pass") {
+      this.#lines.push(`ok ${number} - ${description}`);
+      return;
+    }
+    if (result.verdict === "flaky") {
+      this.#lines.push(`ok ${number} - ${description}`, "  ---", ...this.#yaml({ severity: "flaky", attempts: result.attempts }), "  ...");
+      return;
+    }
+    if (result.verdict === "improved") {
+      this.#lines.push(`ok ${number} - ${description}`, "  ---", ...this.#yaml({ severity: "improved", message: result.message }), "  ...");
+      return;
+    }
+
+    this.#lines.push(`not ok ${number} - ${description}`);
+    const diagnostics = { severity: result.verdict };
+    if (result.verdict === "error") {
+      const error = result.result;
+      diagnostics.message = error instanceof Error ? error.message : format(error);
+      if (error instanceof Error && error.stack) diagnostics.stack = error.stack;
+    } else if (result.verdict === "cancelled" || result.verdict === "regressed") {
+      diagnostics.message = result.verdict === "cancelled" ? result.result : result.message;
+    } else {
+      diagnostics.message = result.message ?? "Result does not equal the expected value";
+      diagnostics.found = result.bench ? formatBench(result.result).join("\n") : format(result.result);
+      diagnostics.wanted = format(result.expect);
+      if (result.diff?.length) diagnostics.diff = result.diff.map(d => d.message).join("\n");
+    }
+    if (result.params !== undefined) diagnostics.params = format(result.params);
+    if (this.#file) diagnostics.file = this.#file;
+    if (result.line) diagnostics.line = result.line;
+    if (result.attempts) diagnostics.attempts = result.attempts;
+    if (result.duration !== undefined) diagnostics.duration_ms = result.duration;
+    this.#lines.push("  ---", ...this.#yaml(diagnostics), "  ...");
+  }
+
+  /**
+   * Formats diagnostics as YAML. Multi-line strings become block scalars; other values are JSON, which is valid YAML.
+   * @private
+   * @param {object} diagnostics - Keys and values to write.
+   * @returns {Array<string>} The YAML lines, indented by two spaces.
+   */
+  #yaml(diagnostics) {
+    return Object.entries(diagnostics).flatMap(([key, value]) => {
+      if (typeof value === "string" && value.includes("\n")) {
+        return [`  ${key}: |-`, ...value.split("\n").map(line => `    ${line}`)];
+      }
+      return [`  ${key}: ${JSON.stringify(value)}`];
+    });
   }
 
   /**
    * @override
-   * Creates a new collapsible group in the console.
-   * @param {string} gist - The name of the test group.
+   * Writes the group path as a comment.
+   * @param {string} gist - The name of the group.
+   * @param {Array<string>} path - The gists of this group and its enclosing groups.
    */
-  groupStart(gist) { console.group(`%c${gist}`, this.#getStyle("GROUP_START")); }
+  groupStart(gist, path) { this.#lines.push(`# ${path.join(" > ")}`); }
 
   /**
    * @override
-   * Closes the current console group.
+   * This is a no-op for the TapReporter.
+   * @param {object} group - The group result.
    */
-  groupEnd() { console.groupEnd(); }
+  groupEnd(group) {}
 
   /**
    * @override
-   * This is a no-op for the ConsoleReporter as there's no visual progress bar.
+   * This is a no-op for the TapReporter.
    * @param {number} loaded - The number of tests processed.
    * @param {number} total - The total number of tests.
    */
@@ -746,18 +3777,47 @@ class ConsoleReporter extends ATestReporter {
 
   /**
    * @override
-   * Logs a final "DONE" message to the console.
-   * @param {string} verdict - The final verdict of the test suite.
+   * Builds the TAP document, stores it in `output` and passes it to `onComplete`.
+   * @param {string} verdict - The final verdict.
+   * @param {object} [summary] - Totals for the run.
+   */
+  complete(verdict, summary) {
+    this.output = ["TAP version 13", ...this.#lines, `1..${this.#count}`].join("\n") + "\n";
+    this.#onComplete?.(this.output, this);
+  }
+
+  /**
+   * Wraps the TAP document in a Blob, e.g. for downloading in a browser.
+   * @returns {Blob} The document, with the type 'text/plain'.
    */
-  complete(verdict) { console.log("%cDONE", this.#getStyle("done")); }
+  toBlob() { return new Blob([this.output], { type: "text/plain" }); }
+}
+
+/**
+ * Escapes text for use in XML attribute values and content. Characters that XML 1.0 does not allow are removed.
+ * @param {*} value - The value to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeXml(value) {
+  const entities = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" };
+  return String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replace(/[&<>"']/g, char => entities[char]);
 }
 
+/**
+ * Converts milliseconds to the seconds used by JUnit's `time` attributes.
+ * @param {number} ms - A duration in milliseconds.
+ * @returns {string} The duration in seconds, with three decimal places.
+ */
+function seconds(ms) { return (ms / 1000).toFixed(3); }
+
 /**
  * @class EventReporter
  * @extends ATestReporter
  * A test reporter that dispatches custom events from a specified DOM element.
  */
-class EventReporter extends ATestReporter {
+export class EventReporter extends ATestReporter {
   /** @private @type {HTMLElement} */
   #element;
   /** @private @type {string} */
@@ -766,6 +3826,8 @@ class EventReporter extends ATestReporter {
   #progressEventName;
   /** @private @type {string} */
   #completeEventName;
+  /** @private @type {string|undefined} */
+  #file;
 
   /**
    * Creates an instance of EventReporter.
@@ -774,13 +3836,16 @@ class EventReporter extends ATestReporter {
    * @param {string} eventNames.result - The name for the test result event.
    * @param {string} eventNames.progress - The name for the progress event.
    * @param {string} eventNames.complete - The name for the completion event.
+   * @param {object} [options={}] - Options.
+   * @param {string} [options.file] - The URL of the test file, added to test results as `file`.
    */
-  constructor(element, eventNames) {
+  constructor(element, eventNames, { file } = {}) {
     super();
     this.#element = element;
     this.#eventName = eventNames.result;
     this.#progressEventName = eventNames.progress;
     this.#completeEventName = eventNames.complete;
+    this.#file = file;
   }
 
   /**
@@ -827,13 +3892,31 @@ class EventReporter extends ATestReporter {
         content = Array.isArray(content) ? [...content] : { ...content };
       }
 
-      return { gist: null, verdict: result.verdict, result: content };
+      return { gist: null, verdict: result.verdict, result: content, path: result.path ?? [] };
     }
 
-    const { gist, verdict, result: res, expect, line, message, type } = result;
+    const { gist, verdict, result: res, expect, line, message, type, path = [] } = result;
     const detail = (type === "info") ?
-      { gist: message, verdict: "INFO" } :
-      { gist, verdict: verdict.toUpperCase(), result: res, expect, line };
+      { gist: message, verdict: "INFO", path } :
+      { gist, verdict: verdict.toUpperCase(), result: res, expect, line, path };
+    if (type !== "info" && message) detail.message = message;
+    if (type !== "info" && this.#file) detail.file = this.#file;
+    if (result.section !== undefined) detail.section = result.section;
+    if (result.params !== undefined) detail.params = result.params;
+    if (result.bench) detail.bench = true;
+    if (result.baselines) detail.baselines = result.baselines;
+    if (result.diff?.length) detail.diff = result.diff.map(({ path, kind, message }) => ({ path, kind, message }));
+    if (result.duration !== undefined) {
+      detail.duration = result.duration;
+      detail.slow = !!result.slow;
+    }
+    if (result.attempts) {
+      detail.attempts = result.attempts;
+      detail.attemptResults = result.attemptResults.map(attempt => ({
+        ...attempt,
+        result: attempt.result instanceof Error ? attempt.result.message : attempt.result
+      }));
+    }
     if (detail.result instanceof Error) {
       detail.result = detail.result.stack ? detail.result.stack.split("\n") : detail.result.message;
     }
@@ -851,14 +3934,19 @@ class EventReporter extends ATestReporter {
    * @override
    * Signals the start of a group by dispatching a custom event.
    * @param {string} gist - The name of the group.
+   * @param {Array<string>} path - The gists of this group and its enclosing groups.
    */
-  groupStart(gist) { this.#dispatchEvent(this.#eventName, { gist, verdict: "GROUP_START" }); }
+  groupStart(gist, path) { this.#dispatchEvent(this.#eventName, { gist, verdict: "GROUP_START", path }); }
 
   /**
    * @override
-   * Signals the end of a group by dispatching a custom event.
+   * Signals the end of a group by dispatching a custom event. `groupVerdict` is 'pass' or 'fail'.
+   * @param {object} group - The group result.
    */
-  groupEnd() { this.#dispatchEvent(this.#eventName, { gist: null, verdict: "GROUP_END" }); }
+  groupEnd(group) {
+    const { gist, verdict, path, duration, ...counts } = group;
+    this.#dispatchEvent(this.#eventName, { gist, verdict: "GROUP_END", groupVerdict: verdict, path, duration, ...counts });
+  }
 
   /**
    * @override
@@ -873,10 +3961,352 @@ class EventReporter extends ATestReporter {
 
   /**
    * @override
-   * Signals completion by dispatching a custom event.
+   * Signals completion by dispatching a custom event whose detail holds the `verdict` and the `summary`.
    * @param {string} verdict - The final verdict.
+   * @param {object} [summary={}] - Totals for the run.
+   */
+  complete(verdict, summary = {}) {
+    this.#dispatchEvent(this.#completeEventName, { verdict, summary });
+  }
+}
+
+/**
+ * @class ATestOrchestrator
+ * Runs many test files as one suite. Each file is imported, the runners it creates while loading are run one
+ * after another, and every result goes to the orchestrator's reporters inside a section named after the file.
+ * The orchestrator's verdict is 'fail' if any runner fails or any file cannot be loaded.
+ */
+export class ATestOrchestrator {
+  /** @type {boolean} If true, each file runs in a fresh context: an iframe in a browser, a worker thread in Node.js. */
+  isolate = false;
+  /** @type {Array<string>} Modules to import in each isolated context before the test file, e.g. to install globals. */
+  preload = [];
+
+  /** @private @type {Array<string>} The test files, as given. */
+  #files;
+  /** @private @type {string|undefined} The URL that relative file paths are resolved against. */
+  #baseURL;
+  /** @private @type {Array<ATestReporter|object>} The reporters receiving the combined report. */
+  #reporters;
+  /** @private @type {Array<ATestReporter|object>} The reporters receiving events during the current run. */
+  #activeReporters = [];
+  /** @private @type {string} The final verdict of the last run. */
+  #finalVerdict = "pass";
+  /** @private @type {Map<string, number>} How many times each module has changed under watch() or been re-imported, for cache busting. */
+  #versions = new Map();
+  /** @private @type {Set<string>} The test files already imported into this context. */
+  #imported = new Set();
+
+  /**
+   * Creates an instance of ATestOrchestrator.
+   * @param {Array<string>} files - The test modules, as URLs or paths relative to `baseURL`.
+   * @param {object} [options={}] - Options.
+   * @param {string} [options.baseURL] - The URL relative paths are resolved against. Defaults to the page's base URL.
+   * @param {Array<ATestReporter|object>} [options.reporters] - The reporters for the combined report. Defaults to a ConsoleReporter.
+   * @param {boolean} [options.isolate=false] - See `isolate`.
+   * @param {Array<string>} [options.preload=[]] - See `preload`.
+   */
+  constructor(files, { baseURL = globalThis.document?.baseURI, reporters = [new ConsoleReporter()], isolate = false, preload = [] } = {}) {
+    this.#files = [...files];
+    this.#baseURL = baseURL;
+    this.#reporters = reporters;
+    this.isolate = isolate;
+    this.preload = preload;
+  }
+
+  /**
+   * Creates an orchestrator for the files listed in a JSON manifest, an array of paths relative to the manifest.
+   * @static
+   * @async
+   * @param {string} manifestURL - The URL of the manifest.
+   * @param {object} [options={}] - Options for the constructor. `baseURL` defaults to the manifest's URL.
+   * @returns {Promise<ATestOrchestrator>} The orchestrator.
+   */
+  static async fromManifest(manifestURL, options = {}) {
+    const url = new URL(manifestURL, globalThis.document?.baseURI).href;
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Could not load the test manifest ${url}: ${response.status} ${response.statusText}`);
+    return new ATestOrchestrator(await response.json(), { baseURL: url, ...options });
+  }
+
+  /**
+   * Imports a test file and runs the runners it creates while loading, one after another, sending their events
+   * to `relay`. Runs the file starts while loading wait for the ones started before them; runners it never starts
+   * are run afterwards. Runners created later, for example inside a test, belong to that test and are not run here.
+   * @static
+   * @async
+   * @param {string} fileURL - The URL of the test file.
+   * @param {object} relay - The reporter that every runner created by the file reports to, unless it sets its own `output`.
+   * @returns {Promise<string>} 'fail' if the file could not be loaded or any of its runners failed, otherwise 'pass'.
+   */
+  static async runFile(fileURL, relay) {
+    const previousOutput = ATestRunner.defaultOutput;
+    ATestRunner.registry = [];
+    ATestRunner.defaultOutput = relay;
+    fileRuns = Promise.resolve();
+    let loadError = null;
+    try {
+      await import(fileURL);
+    } catch (error) {
+      loadError = error;
+    }
+    const runners = ATestRunner.registry;
+    const started = fileRuns;
+    ATestRunner.registry = null;
+    ATestRunner.defaultOutput = previousOutput;
+    fileRuns = null;
+    await started;
+
+    if (loadError) {
+      relay.report({ type: "test", gist: "Failed to load the test file", verdict: "error", result: loadError, expect: null, line: null, path: [] });
+      relay.complete("fail", { ...ZERO_COUNTS, errored: 1, total: 1, duration: 0, groups: [] });
+    }
+    for (const runner of runners) {
+      await (runner.completion ?? runner.run());
+    }
+    return loadError || runners.some(runner => runner.finalVerdict === "fail") ? "fail" : "pass";
+  }
+
+  /**
+   * Runs a test file inside an isolated context, posting each reporter call to the orchestrator.
+   * The orchestrator calls this from the iframe or worker it creates; it is not meant to be called directly.
+   * @static
+   * @async
+   * @param {string} fileURL - The URL of the test file.
+   * @param {Array<string>} preload - Modules to import first.
+   * @param {Function} post - Sends a message to the orchestrator.
+   */
+  static async runIsolated(fileURL, preload, post) {
+    const relay = Object.fromEntries(["report", "groupStart", "groupEnd", "progress", "complete"].map(method =>
+      [method, (...args) => post({ method, args: args.map(cloneable) })]));
+    try {
+      for (const module of preload) await import(module);
+      post({ done: await ATestOrchestrator.runFile(fileURL, relay) });
+    } catch (error) {
+      post({ done: "fail", error: cloneable(error) });
+    }
+  }
+
+  /**
+   * Gets the test files, as given.
+   * @returns {Array<string>} The files.
+   */
+  get files() { return [...this.#files]; }
+
+  /**
+   * Gets the final verdict of the last run.
+   * @returns {string} 'pass' or 'fail'.
+   */
+  get finalVerdict() { return this.#finalVerdict; }
+
+  /**
+   * Runs every file in order. The reporters receive a group for each file, named after it, holding the
+   * file's groups and results, a progress event after each file and, at the end, one summary covering all of them.
+   * @async
+   * @param {Array<string>} [files] - The files to run. Defaults to all of them.
+   * @returns {Promise<string>} The final verdict: 'fail' if any file failed, otherwise 'pass'.
+   */
+  async run(files = this.#files) {
+    const start = performance.now();
+    const summary = { ...ZERO_COUNTS, duration: 0, groups: [], files: [] };
+    this.#finalVerdict = "pass";
+    this.#activeReporters = [...this.#reporters];
+    this.#emit("progress", 0, files.length);
+
+    for (const [index, file] of files.entries()) {
+      const fileStart = performance.now();
+      const counts = { ...ZERO_COUNTS };
+      const groups = [];
+      this.#emit("groupStart", file, [file]);
+      const relay = this.#createRelay(file, counts, groups);
+      let verdict;
+      try {
+        verdict = await this.#runFile(new URL(file, this.#baseURL).href, relay);
+      } catch (error) {
+        relay.report({ type: "test", gist: "Failed to run the test file", verdict: "error", result: error, expect: null, line: null, path: [] });
+        counts.errored++;
+        counts.total++;
+        verdict = "fail";
+      }
+      if (verdict === "fail") this.#finalVerdict = "fail";
+
+      const fileResult = { gist: file, path: [file], verdict, ...counts, duration: performance.now() - fileStart };
+      this.#emit("groupEnd", fileResult);
+      for (const key of Object.keys(ZERO_COUNTS)) summary[key] += counts[key];
+      summary.groups.push(...groups, fileResult);
+      summary.files.push(fileResult);
+      this.#emit("progress", index + 1, files.length);
+    }
+
+    summary.duration = performance.now() - start;
+    this.#emit("complete", this.#finalVerdict, summary);
+    return this.#finalVerdict;
+  }
+
+  /**
+   * Runs every file, then watches the files and the modules they import, and re-runs the files affected by each
+   * change until the signal is aborted. Modules are checked for changes every `interval` milliseconds.
+   * Watched runs are always isolated, so each one imports the changed modules afresh; in a browser the iframe
+   * also gets an import map that adds a version to the URL of every changed module, bypassing any cached copy.
+   * @async
+   * @param {object} [options={}] - Options.
+   * @param {number} [options.interval=500] - Milliseconds between checks.
+   * @param {AbortSignal} [options.signal] - Stops watching when aborted.
+   * @param {Function} [options.onChange] - Called with the URLs of the changed modules and the affected files
+   *   before they are re-run.
+   * @returns {Promise<void>} Resolves once the signal is aborted and the current run has finished.
+   */
+  async watch({ interval = 500, signal, onChange } = {}) {
+    const isolate = this.isolate;
+    const sources = new Map();
+    const graphs = new Map();
+    const scan = async files => {
+      for (const file of files) graphs.set(file, await this.#scanImports(new URL(file, this.#baseURL).href, sources));
+    };
+    this.isolate = true;
+    try {
+      await scan(this.#files);
+      await this.run();
+      while (!signal?.aborted) {
+        await new Promise(resolve => {
+          const stop = () => { realTimers.clearTimeout(timer); resolve(); };
+          const timer = realTimers.setTimeout(() => { signal?.removeEventListener("abort", stop); resolve(); }, interval);
+          signal?.addEventListener("abort", stop, { once: true });
+        });
+        const changed = [];
+        for (const [url, source] of sources) {
+          const current = await readModule(url);
+          if (current === source) continue;
+          sources.set(url, current);
+          this.#versions.set(url, (this.#versions.get(url) ?? 0) + 1);
+          changed.push(url);
+        }
+        const affected = this.#files.filter(file => changed.some(url => graphs.get(file).has(url)));
+        if (signal?.aborted || affected.length === 0) continue;
+        await scan(affected);
+        onChange?.(changed, affected);
+        await this.run(affected);
+      }
+    } finally {
+      this.isolate = isolate;
+    }
+  }
+
+  /**
+   * Finds a module and every module it imports, directly or indirectly, recording their sources.
+   * @private
+   * @async
+   * @param {string} url - The module's URL.
+   * @param {Map<string, string|null>} sources - Receives the source of each module found.
+   * @returns {Promise<Set<string>>} The URLs of the module and its imports.
+   */
+  async #scanImports(url, sources) {
+    const found = new Set();
+    const visit = async moduleURL => {
+      if (found.has(moduleURL)) return;
+      found.add(moduleURL);
+      const source = await readModule(moduleURL);
+      sources.set(moduleURL, source);
+      for (const imported of findImports(source ?? "", moduleURL)) await visit(imported);
+    };
+    await visit(url);
+    return found;
+  }
+
+  /**
+   * Runs a file in this context, or in an isolated one if `isolate` is set.
+   * @private
+   * @async
+   * @param {string} fileURL - The URL of the test file.
+   * @param {object} relay - The reporter for the file's section.
+   * @returns {Promise<string>} The file's verdict.
+   */
+  async #runFile(fileURL, relay) {
+    if (!this.isolate) {
+      // A module is evaluated only once per context, so later runs import the file under a new version.
+      if (this.#imported.has(fileURL)) this.#versions.set(fileURL, (this.#versions.get(fileURL) ?? 0) + 1);
+      this.#imported.add(fileURL);
+      const version = this.#versions.get(fileURL);
+      return ATestOrchestrator.runFile(version ? versionedURL(fileURL, version) : fileURL, relay);
+    }
+
+    const preload = this.preload.map(module => new URL(module, this.#baseURL).href);
+    const receive = (message, resolve, reject) => {
+      if (message.method) relay[message.method](...message.args);
+      else if (message.error) reject(message.error);
+      else resolve(message.done);
+    };
+
+    if (globalThis.process?.versions?.node) {
+      const { Worker } = await import("node:worker_threads");
+      const source = `import(${JSON.stringify(import.meta.url)}).then(({ ATestOrchestrator }) =>
+        ATestOrchestrator.runIsolated(${JSON.stringify(fileURL)}, ${JSON.stringify(preload)},
+          message => require("node:worker_threads").parentPort.postMessage(message)));`;
+      const worker = new Worker(source, { eval: true });
+      try {
+        return await new Promise((resolve, reject) => {
+          worker.on("message", message => receive(message, resolve, reject));
+          worker.on("error", reject);
+          worker.on("exit", code => reject(new Error(`The worker running ${fileURL} exited with code ${code}.`)));
+        });
+      } finally {
+        await worker.terminate();
+      }
+    }
+
+    const imports = Object.fromEntries([...this.#versions].map(([url, version]) => [url, versionedURL(url, version)]));
+    const frame = document.createElement("iframe");
+    frame.hidden = true;
+    frame.srcdoc = `<!DOCTYPE html><script type="importmap">${JSON.stringify({ imports }).replaceAll("<", "\\u003c")}</script><script type="module">
+      import { ATestOrchestrator } from ${JSON.stringify(import.meta.url)};
+      ATestOrchestrator.runIsolated(${JSON.stringify(fileURL)}, ${JSON.stringify(preload)}, message => parent.postMessage(message, "*"));
+    </script>`;
+    let listener;
+    try {
+      return await new Promise((resolve, reject) => {
+        listener = event => { if (event.source === frame.contentWindow) receive(event.data, resolve, reject); };
+        window.addEventListener("message", listener);
+        document.body.append(frame);
+      });
+    } finally {
+      window.removeEventListener("message", listener);
+      frame.remove();
+    }
+  }
+
+  /**
+   * Creates the reporter that a file's runners report to. It places their groups and results inside the
+   * file's section and adds up their counts.
+   * @private
+   * @param {string} file - The file, as given.
+   * @param {object} counts - The file's counts, updated as its runners complete.
+   * @param {Array<object>} groups - Collects the file's group results.
+   * @returns {object} The reporter.
+   */
+  #createRelay(file, counts, groups) {
+    return {
+      report: result => this.#emit("report", { ...result, path: [file, ...(result.path ?? [])], section: file }),
+      groupStart: (gist, path) => this.#emit("groupStart", gist, [file, ...path]),
+      groupEnd: group => {
+        const result = { ...group, path: [file, ...group.path] };
+        groups.push(result);
+        this.#emit("groupEnd", result);
+      },
+      progress() {},
+      complete(verdict, runSummary = {}) {
+        for (const key of Object.keys(ZERO_COUNTS)) counts[key] += runSummary[key] ?? 0;
+      }
+    };
+  }
+
+  /**
+   * Calls a method on every active reporter with fanOut(). A reporter that throws is removed from the run
+   * and makes it fail.
+   * @private
+   * @param {string} method - 'report', 'groupStart', 'groupEnd', 'progress' or 'complete'.
+   * @param {...*} args - The arguments to pass.
    */
-  complete(verdict) {
-    this.#dispatchEvent(this.#completeEventName, { verdict });
+  #emit(method, ...args) {
+    fanOut(this.#activeReporters, method, args, () => { this.#finalVerdict = "fail"; });
   }
 }
@@ -0,0 +1,343 @@
+/**
+ * @file atest-results.js
+ * @author Holmes Bryant <https://github.com/HolmesBryant>
+ * @license MIT
+ *
+ * The `<atest-results>` element: a results panel for ATestRunner. Set a runner's `output` to the element and it
+ * renders the events dispatched by the EventReporter: a progress bar, collapsible nested groups, verdict filters,
+ * a search box, and the message, values, diff and stack of each failing test.
+ *
+ * Every value is written with `textContent`, so test names and results are shown as text, never parsed as HTML.
+ * Importing this module where there is no DOM does nothing.
+ */
+
+import { format, formatTime } from "./ATestRunner.js";
+
+/** The verdicts that can be filtered, in the order the filters are shown. */
+const VERDICTS = ["pass", "flaky", "fail", "error", "skip", "todo", "cancelled", "regressed", "improved"];
+
+const STYLES = `
+  :host { display: block; font-family: sans-serif; font-size: 0.9em; }
+  header { display: flex; flex-wrap: wrap; align-items: center; gap: 8px 16px; margin-bottom: 8px; }
+  progress { flex: 1 1 100%; width: 100%; }
+  .status { font-weight: bold; }
+  .status.pass { color: #28a745; }
+  .status.fail { color: #dc3545; }
+  .filters label { margin-right: 8px; white-space: nowrap; }
+  input[type="search"] { flex: 1; min-width: 10em; }
+  details { margin: 4px 0 4px 12px; }
+  summary { cursor: pointer; font-weight: bold; padding: 2px 0; }
+  summary .counts { font-weight: normal; color: #666; margin-left: 8px; }
+  summary.pass .gist { color: #28a745; }
+  summary.fail .gist { color: #dc3545; }
+  .test, .info, .log { margin: 4px 0; padding: 4px 8px; border-radius: 4px; border-left: 4px solid #ccc; }
+  .test.pass { background-color: #e6ffed; border-color: #28a745; }
+  .test.flaky { background-color: #fff8e1; border-color: #ffa000; }
+  .test.fail { background-color: #ffebee; border-color: #dc3545; }
+  .test.error { background-color: #fce4ec; border-color: #e91e63; }
+  .test.skip, .test.todo, .test.cancelled { background-color: #f5f5f5; color: #666; }
+  .test.regressed { background-color: #ffebee; border-color: #b71c1c; }
+  .test.improved { background-color: #e0f7fa; border-color: #00838f; }
+  .info { border: none; font-style: italic; }
+  .verdict { font-weight: bold; margin-right: 6px; }
+  .duration, .line, .rerun { color: #666; margin-left: 6px; font-size: 0.9em; }
+  .duration.slow { color: #e65100; }
+  .message, .values, .diff, .stack { margin: 4px 0 0 12px; }
+  .values, .diff, .stack, .log pre { font-family: monospace; white-space: pre-wrap; }
+  .message { white-space: pre-line; }
+  .values dt { font-weight: bold; }
+  .values dd { margin: 0 0 4px 12px; }
+  .diff { padding: 0; list-style: none; }
+  .bench { margin: 4px 0 0 12px; border-collapse: collapse; font-family: monospace; }
+  .bench th, .bench td { padding: 0 8px; text-align: right; }
+  .bench th:first-child, .bench td:first-child { text-align: left; }
+  [hidden] { display: none !important; }
+  ${VERDICTS.map(verdict => `.hide-${verdict} .test.${verdict}`).join(", ")} { display: none; }
+`;
+
+/**
+ * Creates an element.
+ * @param {string} tagName - The tag name.
+ * @param {object} [attributes={}] - Attributes to set. Null and false values are left out.
+ * @param {...(Node|string)} children - Child nodes. Strings become text nodes.
+ * @returns {HTMLElement} The element.
+ */
+function element(tagName, attributes = {}, ...children) {
+  const el = document.createElement(tagName);
+  for (const [name, value] of Object.entries(attributes)) {
+    if (value !== null && value !== false && value !== undefined) el.setAttribute(name, value === true ? "" : value);
+  }
+  el.append(...children.filter(child => child !== null && child !== undefined));
+  return el;
+}
+
+/**
+ * @class ATestResults
+ * @extends HTMLElement
+ * Renders the events of an EventReporter. The event names default to the runner's defaults and can be changed with
+ * the `result-event`, `progress-event` and `complete-event` attributes. Line numbers link to the test file through
+ * the `source-href` attribute, a template in which `{file}`, `{path}` and `{line}` are replaced.
+ */
+export class ATestResults extends (globalThis.HTMLElement ?? class {}) {
+  /** @private @type {HTMLProgressElement} */
+  #progress;
+  /** @private @type {HTMLElement} */
+  #status;
+  /** @private @type {HTMLElement} */
+  #results;
+  /** @private @type {HTMLInputElement} */
+  #search;
+  /** @private @type {Map<string, HTMLElement>} The `<details>` element of each group, keyed by its path. */
+  #groups = new Map();
+  /** @private @type {Map<string, HTMLElement>} The counter shown beside each verdict filter. */
+  #counters = new Map();
+  /** @private @type {Array<{type: string, listener: Function}>} The listeners added by connectedCallback(). */
+  #listeners = [];
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: "open" });
+    this.#progress = element("progress", { part: "progress", max: 1, value: 0 });
+    this.#status = element("span", { class: "status", part: "status" }, "Waiting for results");
+    this.#search = element("input", { type: "search", placeholder: "Search tests", "aria-label": "Search tests" });
+    this.#results = element("div", { class: "results", part: "results" });
+
+    const filters = element("span", { class: "filters", part: "filters" });
+    for (const verdict of VERDICTS) {
+      const counter = element("span", { class: "count" }, "0");
+      this.#counters.set(verdict, counter);
+      filters.append(element("label", {}, element("input", { type: "checkbox", value: verdict, checked: true }), ` ${verdict} `, counter));
+    }
+
+    this.shadowRoot.append(
+      element("style", {}, STYLES),
+      element("header", { part: "header" }, this.#progress, this.#status, filters, this.#search),
+      this.#results
+    );
+    this.shadowRoot.addEventListener("change", event => {
+      if (event.target.type === "checkbox") this.#results.classList.toggle(`hide-${event.target.value}`, !event.target.checked);
+    });
+    this.shadowRoot.addEventListener("input", () => this.#applySearch());
+  }
+
+  connectedCallback() {
+    this.#listen(this.getAttribute("result-event") ?? "a-testresult", event => this.#render(event.detail));
+    this.#listen(this.getAttribute("progress-event") ?? "a-progress", event => this.#showProgress(event));
+    this.#listen(this.getAttribute("complete-event") ?? "a-complete", event => this.#showSummary(event.detail));
+  }
+
+  disconnectedCallback() {
+    for (const { type, listener } of this.#listeners) this.removeEventListener(type, listener);
+    this.#listeners = [];
+  }
+
+  /**
+   * Removes every rendered result, so the element can show a new run.
+   */
+  clear() {
+    this.#results.textContent = "";
+    this.#groups.clear();
+    for (const counter of this.#counters.values()) counter.textContent = "0";
+    this.#progress.setAttribute("value", 0);
+    this.#status.textContent = "Waiting for results";
+    this.#status.setAttribute("class", "status");
+    this.removeAttribute("verdict");
+  }
+
+  /**
+   * Adds an event listener that disconnectedCallback() removes.
+   * @private
+   * @param {string} type - The event type.
+   * @param {Function} listener - The listener.
+   */
+  #listen(type, listener) {
+    this.addEventListener(type, listener);
+    this.#listeners.push({ type, listener });
+  }
+
+  /**
+   * Gets the element that holds the items of a group.
+   * @private
+   * @param {Array<string>} path - The gists of the group and its enclosing groups.
+   * @returns {HTMLElement} The group's `<details>` element, or the results container for the top level.
+   */
+  #container(path = []) {
+    return this.#groups.get(JSON.stringify(path)) ?? this.#results;
+  }
+
+  /**
+   * Renders one result event.
+   * @private
+   * @param {object} detail - The event detail.
+   */
+  #render(detail) {
+    const { verdict, gist, path = [] } = detail;
+    if (verdict === "GROUP_START") {
+      const group = element("details", { class: "group", open: true },
+        element("summary", {}, element("span", { class: "gist" }, gist), element("span", { class: "counts" })));
+      this.#container(path.slice(0, -1)).append(group);
+      this.#groups.set(JSON.stringify(path), group);
+    } else if (verdict === "GROUP_END") {
+      this.#endGroup(detail);
+    } else if (verdict === "INFO") {
+      this.#container(path).append(element("p", { class: "info" }, gist));
+    } else if (gist === null) {
+      this.#container(path).append(element("div", { class: "log" }, element("b", {}, verdict), element("pre", {}, format(detail.result))));
+    } else {
+      this.#container(path).append(this.#renderTest(detail));
+      const counter = this.#counters.get(verdict.toLowerCase());
+      if (counter) counter.textContent = Number(counter.textContent) + 1;
+    }
+    if (this.#search.value) this.#applySearch();
+  }
+
+  /**
+   * Shows a group's verdict and counts, and collapses the group if it passed.
+   * @private
+   * @param {object} detail - The GROUP_END event detail.
+   */
+  #endGroup(detail) {
+    const group = this.#groups.get(JSON.stringify(detail.path));
+    if (!group) return;
+    const summary = group.querySelector("summary");
+    const counts = ["passed", "flaky", "failed", "errored", "skipped", "todo", "cancelled", "regressed", "improved"]
+      .filter(key => detail[key])
+      .map(key => `${detail[key]} ${key}`);
+    summary.setAttribute("class", detail.groupVerdict);
+    summary.querySelector(".counts").textContent = counts.join(", ");
+    if (detail.groupVerdict === "pass") group.removeAttribute("open");
+  }
+
+  /**
+   * Builds the element for a test result.
+   * @private
+   * @param {object} detail - The result event detail.
+   * @returns {HTMLElement} The element.
+   */
+  #renderTest(detail) {
+    const { gist, verdict, path = [], line, file, message, diff, duration, slow, attempts } = detail;
+    const text = [...path, gist].join(" ");
+    // Under ATestOrchestrator the path starts with the file's section, which the file's runner does not see.
+    const testPath = [...(detail.section === undefined ? path : path.slice(1)), gist];
+    const item = element("div", { class: `test ${verdict.toLowerCase()}`, part: "test", "data-text": text.toLowerCase() },
+      element("span", { class: "verdict" }, verdict),
+      element("span", { class: "gist" }, gist),
+      duration !== undefined ? element("span", { class: slow ? "duration slow" : "duration" }, `${Math.round(duration)}ms`) : null,
+      attempts ? element("span", { class: "attempts" }, ` (attempts: ${attempts})`) : null,
+      line ? element("a", { class: "line", href: this.#sourceHref(file, line), title: file ?? null }, `line ${line}`) : null,
+      element("a", { class: "rerun", href: this.#rerunHref(testPath), title: "Run only this test" }, "rerun")
+    );
+    const note = message ?? (verdict === "SKIP" || verdict === "CANCELLED" ? detail.result : null);
+    if (note) item.append(element("div", { class: "message" }, note));
+    if (detail.bench) {
+      item.append(this.#renderBench(detail.result));
+    } else if (verdict === "FAIL") {
+      item.append(element("dl", { class: "values" },
+        element("dt", {}, "Result"), element("dd", {}, format(detail.result)),
+        element("dt", {}, "Expected"), element("dd", {}, format(detail.expect))));
+    }
+    if (detail.params !== undefined && (verdict === "FAIL" || verdict === "ERROR")) {
+      item.append(element("dl", { class: "values" }, element("dt", {}, "Parameters"), element("dd", {}, format(detail.params))));
+    }
+    if (diff?.length) item.append(element("ul", { class: "diff" }, ...diff.map(change => element("li", {}, change.message))));
+    if (verdict === "ERROR") {
+      const stack = Array.isArray(detail.result) ? detail.result.join("\n") : String(detail.result);
+      item.append(element("pre", { class: "stack" }, stack));
+    }
+    return item;
+  }
+
+  /**
+   * Builds the table of a `bench()` result, one row per candidate.
+   * @private
+   * @param {Array<object>} stats - The candidates' statistics.
+   * @returns {HTMLElement} The table.
+   */
+  #renderBench(stats) {
+    const columns = ["median", "mean", "p95", "stddev"];
+    return element("table", { class: "bench", part: "bench" },
+      element("tr", {}, element("th", {}, ""), ...columns.map(column => element("th", {}, column)), element("th", {}, "ops/sec"), element("th", {}, "")),
+      ...stats.map(candidate => element("tr", {},
+        element("td", {}, candidate.name),
+        ...columns.map(column => element("td", {}, formatTime(candidate[column]))),
+        element("td", {}, Math.round(candidate.opsPerSec).toLocaleString()),
+        element("td", {}, stats.length < 2 ? "" : candidate.relative === 1 ? "fastest" : `${candidate.relative.toFixed(2)}x slower`))));
+  }
+
+  /**
+   * Builds the link to the line a test was defined on.
+   * @private
+   * @param {string} [file] - The URL of the test file.
+   * @param {number} line - The line number.
+   * @returns {string} The `source-href` template with its placeholders replaced, or the file URL.
+   */
+  #sourceHref(file = "", line) {
+    const template = this.getAttribute("source-href") ?? "{file}";
+    let path = file;
+    try { path = new URL(file).pathname; } catch { /* Not an absolute URL; use it as it is. */ }
+    return template.replaceAll("{file}", file).replaceAll("{path}", path).replaceAll("{line}", line);
+  }
+
+  /**
+   * Builds the link that reloads the page running only one test.
+   * @private
+   * @param {Array<string>} testPath - The test's group path, as its runner sees it, and gist.
+   * @returns {string} The current query string with `test` set to the path, and without `grep` or `group`.
+   */
+  #rerunHref(testPath) {
+    const params = new URLSearchParams(globalThis.location?.search ?? "");
+    params.delete("group");
+    params.delete("grep");
+    params.set("test", testPath.join(" › "));
+    return `?${params}`;
+  }
+
+  /**
+   * Updates the progress bar.
+   * @private
+   * @param {ProgressEvent} event - The progress event.
+   */
+  #showProgress(event) {
+    if (!event.lengthComputable) return;
+    this.#progress.setAttribute("max", event.total || 1);
+    this.#progress.setAttribute("value", event.loaded);
+    this.#status.textContent = `${event.loaded} / ${event.total}`;
+  }
+
+  /**
+   * Shows the final verdict and counts.
+   * @private
+   * @param {{verdict: string, summary: object}} detail - The completion event detail.
+   */
+  #showSummary({ verdict, summary = {} }) {
+    const { passed = 0, flaky = 0, failed = 0, errored = 0, skipped = 0, todo = 0, cancelled = 0, regressed = 0, improved = 0 } = summary;
+    const counts = [`${passed} passed`, `${flaky} flaky`, `${failed} failed`, `${errored} errored`, `${skipped} skipped`, `${todo} todo`];
+    if (cancelled) counts.push(`${cancelled} cancelled`);
+    if (regressed) counts.push(`${regressed} regressed`);
+    if (improved) counts.push(`${improved} improved`);
+    this.#status.textContent = `${verdict.toUpperCase()}: ${counts.join(", ")}`;
+    this.#status.setAttribute("class", `status ${verdict}`);
+    this.setAttribute("verdict", verdict);
+  }
+
+  /**
+   * Hides the tests that do not contain the search text, and the groups left with nothing to show.
+   * @private
+   */
+  #applySearch() {
+    const query = (this.#search.value ?? "").trim().toLowerCase();
+    for (const test of this.#results.querySelectorAll(".test")) {
+      test.toggleAttribute("hidden", !test.getAttribute("data-text").includes(query));
+    }
+    for (const group of this.#groups.values()) {
+      const visible = [...group.querySelectorAll(".test")].some(test => !test.hasAttribute("hidden"));
+      group.toggleAttribute("hidden", query !== "" && !visible);
+    }
+  }
+}
+
+if (globalThis.customElements && !customElements.get("atest-results")) {
+  customElements.define("atest-results", ATestResults);
+}
+
+export default ATestResults;
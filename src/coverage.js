@@ -0,0 +1,307 @@
+/**
+ * @file coverage.js
+ * @author Holmes Bryant <https://github.com/HolmesBryant>
+ * @license MIT
+ *
+ * Collects V8 code coverage in Node.js through the built-in inspector and reports it as a text summary,
+ * an lcov file and a JSON summary. Used by `atestrunner --coverage`; it does not work in a browser.
+ *
+ * Line counts come from V8's block coverage: a line is covered if any code on it ran, and lines holding only
+ * comments are left out. As in c8, every block range V8 reports inside a function counts as a branch, so the
+ * branch figures are approximate.
+ */
+
+import { readFile } from "node:fs/promises";
+import { Session } from "node:inspector/promises";
+import { fileURLToPath } from "node:url";
+
+/** The measures reported for each file, in the order they are shown. */
+const MEASURES = ["lines", "branches", "functions"];
+
+/**
+ * Starts collecting coverage for every script loaded from now on.
+ * @async
+ * @returns {Promise<{stop: Function}>} A handle whose async `stop(include)` ends the collection and resolves with
+ *   the coverage of each script whose URL passes `include`, sorted by path.
+ */
+export async function startCoverage() {
+  const session = new Session();
+  session.connect();
+  await session.post("Profiler.enable");
+  await session.post("Profiler.startPreciseCoverage", { callCount: true, detailed: true });
+  return {
+    async stop(include = () => true) {
+      const { result } = await session.post("Profiler.takePreciseCoverage");
+      await session.post("Profiler.stopPreciseCoverage");
+      session.disconnect();
+      const files = [];
+      for (const script of result) {
+        if (!script.url.startsWith("file:") || !include(script.url)) continue;
+        const source = await readFile(new URL(script.url), "utf8").catch(() => null);
+        if (source !== null) files.push(analyzeScript(script.url, source, script.functions));
+      }
+      return files.sort((a, b) => a.path.localeCompare(b.path));
+    }
+  };
+}
+
+/**
+ * Works out the line, function and branch counts of a script from V8's ranges.
+ * Ranges are painted from the largest to the smallest, so each character gets the count of the innermost
+ * range around it. A line's count is the highest count of any non-blank character on it outside comments;
+ * lines without such characters are not counted. The first range of each function covers its whole body,
+ * so it is not counted as a branch.
+ * @param {string} url - The script's URL.
+ * @param {string} source - The script's source.
+ * @param {Array<object>} functions - The script's functions, as reported by `Profiler.takePreciseCoverage`.
+ * @returns {object} `{ url, path, lines, functions, branches }`. `lines` is an array of `[line, count]`.
+ */
+function analyzeScript(url, source, functions) {
+  const counts = new Float64Array(source.length);
+  const ranges = functions.flatMap(fn => fn.ranges)
+    .sort((a, b) => (b.endOffset - b.startOffset) - (a.endOffset - a.startOffset));
+  for (const range of ranges) counts.fill(range.count, range.startOffset, range.endOffset);
+
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i++) if (source[i] === "\n") lineStarts.push(i + 1);
+  const lineOf = offset => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return low + 1;
+  };
+
+  const code = codeMask(source);
+  const lines = [];
+  for (const [index, start] of lineStarts.entries()) {
+    const end = lineStarts[index + 1] ?? source.length;
+    let count = -1;
+    for (let i = start; i < end; i++) if (code[i] && /\S/.test(source[i])) count = Math.max(count, counts[i]);
+    if (count >= 0) lines.push([index + 1, count]);
+  }
+
+  const fnCoverage = [];
+  const branches = [];
+  functions.forEach((fn, block) => {
+    const [whole] = fn.ranges;
+    // The first entry with an empty name that starts at 0 is the module itself, not a function.
+    if (fn.functionName !== "" || whole.startOffset !== 0) {
+      fnCoverage.push({ name: fn.functionName || `(anonymous_${block})`, line: lineOf(whole.startOffset), count: whole.count });
+    }
+    if (fn.isBlockCoverage) {
+      fn.ranges.slice(1).forEach((range, branch) => branches.push({ line: lineOf(range.startOffset), block, branch, count: range.count }));
+    }
+  });
+
+  return { url, path: fileURLToPath(url), lines, functions: fnCoverage, branches };
+}
+
+/**
+ * Marks the characters of a script that are not inside comments. Strings, template literals and regular
+ * expressions are skipped over, so that comment markers inside them are not taken for comments. A `/` starts a
+ * regular expression where an operand is expected, judged by the character before it.
+ * @param {string} source - The script's source.
+ * @returns {Uint8Array} 1 for each character outside a comment, 0 for each character inside one.
+ */
+function codeMask(source) {
+  const mask = new Uint8Array(source.length).fill(1);
+  // The number of unclosed braces inside each `${` of the template literals being read.
+  const substitutions = [];
+  let i = 0;
+  let previous = "";
+  // Reads up to the end of a template literal, or into its next substitution.
+  const skipTemplate = () => {
+    while (i < source.length) {
+      const char = source[i];
+      if (char === "\\") {
+        i += 2;
+        continue;
+      }
+      i++;
+      if (char === "`") return;
+      if (char === "$" && source[i] === "{") {
+        i++;
+        substitutions.push(0);
+        return;
+      }
+    }
+  };
+  // Reads up to the closing quote of a string, or slash of a regular expression, ignoring slashes in a class.
+  const skipUntil = close => {
+    let inClass = false;
+    while (i < source.length && source[i] !== "\n") {
+      const char = source[i];
+      if (char === "\\") { i += 2; continue; }
+      i++;
+      if (char === "[" && close === "/") inClass = true;
+      else if (char === "]") inClass = false;
+      else if (char === close && !inClass) return;
+    }
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+    const next = source[i + 1];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === "/" && (next === "/" || next === "*")) {
+      const end = next === "/" ? source.indexOf("\n", i) : source.indexOf("*/", i + 2);
+      const stop = end === -1 ? source.length : next === "/" ? end : end + 2;
+      mask.fill(0, i, stop);
+      i = stop;
+    } else if (char === "`") {
+      i++;
+      skipTemplate();
+      previous = "`";
+    } else if (char === "'" || char === '"' || (char === "/" && (previous === "" || /[(,=:[!&|?{};+\-*%<>~^]/.test(previous)))) {
+      i++;
+      skipUntil(char);
+      previous = char;
+    } else if (char === "}" && substitutions.at(-1) === 0) {
+      substitutions.pop();
+      i++;
+      skipTemplate();
+      previous = "`";
+    } else {
+      if (substitutions.length && char === "{") substitutions[substitutions.length - 1]++;
+      if (substitutions.length && char === "}") substitutions[substitutions.length - 1]--;
+      previous = char;
+      i++;
+    }
+  }
+  return mask;
+}
+
+/**
+ * Counts the covered lines, branches and functions of a file.
+ * @param {object} file - A file returned by `stop()`.
+ * @returns {object} `{ lines, branches, functions }`, each `{ total, covered, pct }`.
+ */
+export function fileTotals(file) {
+  const measure = (items, count) => {
+    const total = items.length;
+    const covered = items.filter(item => count(item) > 0).length;
+    return { total, covered, pct: percent(covered, total) };
+  };
+  return {
+    lines: measure(file.lines, ([, count]) => count),
+    branches: measure(file.branches, branch => branch.count),
+    functions: measure(file.functions, fn => fn.count)
+  };
+}
+
+/**
+ * Adds up the totals of every file.
+ * @param {Array<object>} files - Files returned by `stop()`.
+ * @returns {object} `{ lines, branches, functions }`, each `{ total, covered, pct }`.
+ */
+export function coverageTotals(files) {
+  const totals = Object.fromEntries(MEASURES.map(measure => [measure, { total: 0, covered: 0, pct: 100 }]));
+  for (const file of files) {
+    const fileMeasures = fileTotals(file);
+    for (const measure of MEASURES) {
+      totals[measure].total += fileMeasures[measure].total;
+      totals[measure].covered += fileMeasures[measure].covered;
+    }
+  }
+  for (const measure of MEASURES) totals[measure].pct = percent(totals[measure].covered, totals[measure].total);
+  return totals;
+}
+
+/**
+ * Formats the coverage as a text table with a row for each file, its uncovered lines and a row of totals.
+ * @param {Array<object>} files - Files returned by `stop()`.
+ * @param {Function} [name] - Turns a file's absolute path into the name shown. Defaults to the path itself.
+ * @returns {string} The table.
+ */
+export function formatCoverage(files, name = path => path) {
+  const row = (label, totals, uncovered = "") => [label, ...MEASURES.map(measure => `${totals[measure].pct.toFixed(2)}%`), uncovered];
+  const rows = [
+    ["File", "Lines", "Branches", "Functions", "Uncovered lines"],
+    ...files.map(file => row(name(file.path), fileTotals(file), lineRanges(file.lines.filter(([, count]) => count === 0).map(([line]) => line)))),
+    row("All files", coverageTotals(files))
+  ];
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(cells => cells[column].length)));
+  return rows.map(cells => cells.map((cell, column) => cell.padEnd(widths[column])).join("  ").trimEnd()).join("\n");
+}
+
+/**
+ * Builds an lcov tracefile.
+ * @param {Array<object>} files - Files returned by `stop()`.
+ * @returns {string} The lcov text.
+ */
+export function toLcov(files) {
+  return files.map(file => {
+    const totals = fileTotals(file);
+    return [
+      "TN:",
+      `SF:${file.path}`,
+      ...file.functions.map(fn => `FN:${fn.line},${fn.name}`),
+      ...file.functions.map(fn => `FNDA:${fn.count},${fn.name}`),
+      `FNF:${totals.functions.total}`,
+      `FNH:${totals.functions.covered}`,
+      ...file.branches.map(branch => `BRDA:${branch.line},${branch.block},${branch.branch},${branch.count}`),
+      `BRF:${totals.branches.total}`,
+      `BRH:${totals.branches.covered}`,
+      ...file.lines.map(([line, count]) => `DA:${line},${count}`),
+      `LF:${totals.lines.total}`,
+      `LH:${totals.lines.covered}`,
+      "end_of_record"
+    ].join("\n");
+  }).join("\n") + "\n";
+}
+
+/**
+ * Builds a JSON summary in the shape of Istanbul's `json-summary` report: a `total` entry and one entry per file
+ * path, each holding `lines`, `branches` and `functions` with `total`, `covered`, `skipped` and `pct`.
+ * @param {Array<object>} files - Files returned by `stop()`.
+ * @returns {string} The JSON text.
+ */
+export function toJSONSummary(files) {
+  const entry = totals => Object.fromEntries(MEASURES.map(measure => [measure, { ...totals[measure], skipped: 0 }]));
+  const summary = { total: entry(coverageTotals(files)) };
+  for (const file of files) summary[file.path] = entry(fileTotals(file));
+  return JSON.stringify(summary, null, 2) + "\n";
+}
+
+/**
+ * Compares the totals with minimum percentages.
+ * @param {Array<object>} files - Files returned by `stop()`.
+ * @param {object} thresholds - Minimum percentages by measure, e.g. `{ lines: 80, branches: 70 }`.
+ * @returns {Array<string>} A message for each measure below its threshold.
+ */
+export function checkThresholds(files, thresholds) {
+  const totals = coverageTotals(files);
+  return Object.entries(thresholds)
+    .filter(([measure, minimum]) => totals[measure].pct < minimum)
+    .map(([measure, minimum]) => `Coverage for ${measure} (${totals[measure].pct.toFixed(2)}%) is below the threshold of ${minimum}%.`);
+}
+
+/**
+ * Calculates a percentage, rounded to two decimals. Nothing to cover counts as fully covered.
+ * @param {number} covered - The covered count.
+ * @param {number} total - The total count.
+ * @returns {number} The percentage.
+ */
+function percent(covered, total) {
+  return total === 0 ? 100 : Math.floor((covered / total) * 10000) / 100;
+}
+
+/**
+ * Collapses sorted line numbers into ranges, e.g. `3-5, 9`.
+ * @param {Array<number>} lines - The line numbers.
+ * @returns {string} The ranges.
+ */
+function lineRanges(lines) {
+  const ranges = [];
+  for (const line of lines) {
+    const last = ranges.at(-1);
+    if (last && line === last[1] + 1) last[1] = line;
+    else ranges.push([line, line]);
+  }
+  return ranges.map(([start, end]) => start === end ? `${start}` : `${start}-${end}`).join(", ");
+}
@@ -0,0 +1,609 @@
+/**
+ * @file dom-shim.js
+ * @author Holmes Bryant <https://github.com/HolmesBryant>
+ * @license MIT
+ *
+ * A lightweight stand-in for the parts of the DOM that test suites commonly touch.
+ * It is not a browser: there is no layout, no HTML parsing and only simple selectors are supported.
+ * Its purpose is to let DOM-dependent suites run under the headless CLI (`atestrunner --dom`).
+ */
+
+/**
+ * @class ShimNode
+ * A node that can hold children and dispatch events which bubble up through its ancestors.
+ */
+class ShimNode {
+  /** @type {ShimNode|null} The parent of this node. */
+  parentNode = null;
+  /** @type {Array<ShimNode>} The child nodes of this node. */
+  childNodes = [];
+
+  /** @private @type {Map<string, Array<{listener: Function|object, once: boolean}>>} */
+  #listeners = new Map();
+
+  /**
+   * Registers an event listener.
+   * @param {string} type - The event type.
+   * @param {Function|object} listener - A function or an object with a `handleEvent` method.
+   * @param {object|boolean} [options] - Listener options. Only `once` is honored.
+   */
+  addEventListener(type, listener, options) {
+    if (!listener) return;
+    const list = this.#listeners.get(type) ?? [];
+    if (list.some(entry => entry.listener === listener)) return;
+    list.push({ listener, once: typeof options === "object" && !!options.once });
+    this.#listeners.set(type, list);
+  }
+
+  /**
+   * Removes an event listener.
+   * @param {string} type - The event type.
+   * @param {Function|object} listener - The listener to remove.
+   */
+  removeEventListener(type, listener) {
+    const list = this.#listeners.get(type);
+    if (!list) return;
+    this.#listeners.set(type, list.filter(entry => entry.listener !== listener));
+  }
+
+  /**
+   * Dispatches an event to this node, then to each ancestor if the event bubbles.
+   * @param {Event} event - The event to dispatch.
+   * @returns {boolean} False if the event was cancelable and a listener called preventDefault().
+   */
+  dispatchEvent(event) {
+    Object.defineProperty(event, "target", { value: this, configurable: true });
+    let node = this;
+    while (node) {
+      Object.defineProperty(event, "currentTarget", { value: node, configurable: true });
+      node.#invoke(event);
+      if (!event.bubbles || event.cancelBubble) break;
+      node = node.parentNode ?? node.host ?? null;
+    }
+    return !event.defaultPrevented;
+  }
+
+  /**
+   * Calls the listeners registered on this node for an event.
+   * @private
+   * @param {Event} event - The event being dispatched.
+   */
+  #invoke(event) {
+    const list = this.#listeners.get(event.type);
+    if (!list) return;
+    for (const entry of [...list]) {
+      if (entry.once) this.removeEventListener(event.type, entry.listener);
+      if (typeof entry.listener === "function") entry.listener.call(this, event);
+      else entry.listener.handleEvent(event);
+    }
+  }
+
+  /**
+   * Appends nodes or strings to the end of this node's children.
+   * @param {...(ShimNode|string)} nodes - The nodes to append. Strings become text nodes.
+   */
+  append(...nodes) {
+    for (const node of nodes) this.appendChild(node);
+  }
+
+  /**
+   * Inserts nodes or strings before this node's first child.
+   * @param {...(ShimNode|string)} nodes - The nodes to prepend. Strings become text nodes.
+   */
+  prepend(...nodes) {
+    for (const node of nodes.reverse()) this.insertBefore(node, this.childNodes[0] ?? null);
+  }
+
+  /**
+   * Appends a single node.
+   * @param {ShimNode|string} node - The node to append.
+   * @returns {ShimNode} The appended node.
+   */
+  appendChild(node) {
+    return this.insertBefore(node, null);
+  }
+
+  /**
+   * Inserts a node before a reference child.
+   * @param {ShimNode|string} node - The node to insert.
+   * @param {ShimNode|null} reference - The child to insert before, or null to append.
+   * @returns {ShimNode} The inserted node.
+   */
+  insertBefore(node, reference) {
+    if (typeof node === "string") node = new ShimText(node);
+    node.remove();
+    const index = reference ? this.childNodes.indexOf(reference) : -1;
+    if (index === -1) this.childNodes.push(node);
+    else this.childNodes.splice(index, 0, node);
+    node.parentNode = this;
+    if (node.isConnected) node.#connect();
+    return node;
+  }
+
+  /**
+   * Removes a child node.
+   * @param {ShimNode} node - The child to remove.
+   * @returns {ShimNode} The removed node.
+   */
+  removeChild(node) {
+    node.remove();
+    return node;
+  }
+
+  /**
+   * Removes this node from its parent.
+   */
+  remove() {
+    if (!this.parentNode) return;
+    const wasConnected = this.isConnected;
+    const siblings = this.parentNode.childNodes;
+    siblings.splice(siblings.indexOf(this), 1);
+    this.parentNode = null;
+    if (wasConnected) this.#disconnect();
+  }
+
+  /**
+   * Calls connectedCallback on this node and its descendants.
+   * @private
+   */
+  #connect() {
+    this.connectedCallback?.();
+    for (const child of this.childNodes) child.#connect();
+  }
+
+  /**
+   * Calls disconnectedCallback on this node and its descendants.
+   * @private
+   */
+  #disconnect() {
+    this.disconnectedCallback?.();
+    for (const child of this.childNodes) child.#disconnect();
+  }
+
+  /**
+   * Gets whether this node is attached to the document.
+   * @returns {boolean} True if the document is an ancestor of this node.
+   */
+  get isConnected() {
+    let node = this;
+    while (node.parentNode) node = node.parentNode;
+    return node === globalThis.document;
+  }
+
+  /**
+   * Gets the element children of this node.
+   * @returns {Array<ShimElement>} The children that are elements.
+   */
+  get children() { return this.childNodes.filter(node => node instanceof ShimElement); }
+
+  /** @returns {ShimNode|null} The first child node. */
+  get firstChild() { return this.childNodes[0] ?? null; }
+
+  /** @returns {ShimNode|null} The last child node. */
+  get lastChild() { return this.childNodes.at(-1) ?? null; }
+
+  /**
+   * Gets the concatenated text of this node's descendants.
+   * @returns {string} The text content.
+   */
+  get textContent() { return this.childNodes.map(node => node.textContent).join(""); }
+
+  /**
+   * Replaces all children with a single text node.
+   * @param {string} value - The new text content.
+   */
+  set textContent(value) {
+    for (const node of [...this.childNodes]) node.remove();
+    if (value !== "" && value !== null && value !== undefined) this.append(String(value));
+  }
+
+  /**
+   * Returns the first descendant element matching a selector.
+   * @param {string} selector - A comma separated list of compound selectors such as `div#id.class[attr="value"]`.
+   * @returns {ShimElement|null} The first matching element.
+   */
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] ?? null;
+  }
+
+  /**
+   * Returns every descendant element matching a selector, in document order.
+   * @param {string} selector - A comma separated list of compound selectors such as `div#id.class[attr="value"]`.
+   * @returns {Array<ShimElement>} The matching elements.
+   */
+  querySelectorAll(selector) {
+    const found = [];
+    const walk = node => {
+      for (const child of node.children) {
+        if (child.matches(selector)) found.push(child);
+        walk(child);
+      }
+    };
+    walk(this);
+    return found;
+  }
+
+  /**
+   * Returns the first descendant element with a given id.
+   * @param {string} id - The id to look for.
+   * @returns {ShimElement|null} The matching element.
+   */
+  getElementById(id) {
+    return this.querySelectorAll("*").find(el => el.id === id) ?? null;
+  }
+}
+
+/**
+ * @class ShimText
+ * @extends ShimNode
+ * A text node.
+ */
+class ShimText extends ShimNode {
+  /** @type {string} The text of this node. */
+  data;
+
+  /**
+   * @param {string} data - The text of the node.
+   */
+  constructor(data) {
+    super();
+    this.data = String(data);
+  }
+
+  get textContent() { return this.data; }
+  set textContent(value) { this.data = String(value); }
+}
+
+/**
+ * @class ShimElement
+ * @extends ShimNode
+ * An element with attributes, a class list and a dataset-free subset of the HTMLElement API.
+ * Exposed as the global `HTMLElement` so custom elements can extend it.
+ */
+class ShimElement extends ShimNode {
+  /** @type {string} The lower-case tag name. */
+  localName;
+  /** @type {ShadowRoot|null} The shadow root created by attachShadow(). */
+  shadowRoot = null;
+  /** @private @type {string} The raw string assigned to innerHTML. It is stored, not parsed. */
+  #innerHTML = "";
+  /** @private @type {Map<string, string>} */
+  #attributes = new Map();
+
+  /**
+   * @param {string} [localName] - The tag name. Custom elements get theirs from the registry.
+   */
+  constructor(localName) {
+    super();
+    this.localName = (localName ?? ShimCustomElementRegistry.nameOf(new.target) ?? "div").toLowerCase();
+  }
+
+  /** @returns {string} The upper-case tag name. */
+  get tagName() { return this.localName.toUpperCase(); }
+
+  /** @returns {Array<{name: string, value: string}>} The element's attributes. */
+  get attributes() { return [...this.#attributes].map(([name, value]) => ({ name, value })); }
+
+  /**
+   * Gets an attribute value.
+   * @param {string} name - The attribute name.
+   * @returns {string|null} The value, or null if the attribute is absent.
+   */
+  getAttribute(name) { return this.#attributes.get(name.toLowerCase()) ?? null; }
+
+  /**
+   * Sets an attribute value and calls attributeChangedCallback for observed attributes.
+   * @param {string} name - The attribute name.
+   * @param {*} value - The value, converted to a string.
+   */
+  setAttribute(name, value) {
+    name = name.toLowerCase();
+    const oldValue = this.getAttribute(name);
+    this.#attributes.set(name, String(value));
+    this.#attributeChanged(name, oldValue, String(value));
+  }
+
+  /**
+   * Checks for an attribute.
+   * @param {string} name - The attribute name.
+   * @returns {boolean} True if the attribute is present.
+   */
+  hasAttribute(name) { return this.#attributes.has(name.toLowerCase()); }
+
+  /**
+   * Removes an attribute.
+   * @param {string} name - The attribute name.
+   */
+  removeAttribute(name) {
+    name = name.toLowerCase();
+    if (!this.#attributes.has(name)) return;
+    const oldValue = this.getAttribute(name);
+    this.#attributes.delete(name);
+    this.#attributeChanged(name, oldValue, null);
+  }
+
+  /**
+   * Toggles a boolean attribute.
+   * @param {string} name - The attribute name.
+   * @param {boolean} [force] - If given, adds the attribute when true and removes it when false.
+   * @returns {boolean} True if the attribute is present afterwards.
+   */
+  toggleAttribute(name, force) {
+    const add = force ?? !this.hasAttribute(name);
+    if (add && !this.hasAttribute(name)) this.setAttribute(name, "");
+    if (!add) this.removeAttribute(name);
+    return add;
+  }
+
+  /**
+   * Calls attributeChangedCallback if the element observes the attribute.
+   * @private
+   * @param {string} name - The attribute name.
+   * @param {string|null} oldValue - The previous value.
+   * @param {string|null} newValue - The new value.
+   */
+  #attributeChanged(name, oldValue, newValue) {
+    if (this.constructor.observedAttributes?.includes(name)) {
+      this.attributeChangedCallback?.(name, oldValue, newValue);
+    }
+  }
+
+  /** @returns {string} The id attribute. */
+  get id() { return this.getAttribute("id") ?? ""; }
+  set id(value) { this.setAttribute("id", value); }
+
+  /** @returns {string} The class attribute. */
+  get className() { return this.getAttribute("class") ?? ""; }
+  set className(value) { this.setAttribute("class", value); }
+
+  /**
+   * Gets a minimal DOMTokenList for the class attribute.
+   * @returns {{add: Function, remove: Function, toggle: Function, contains: Function}} The class list.
+   */
+  get classList() {
+    const tokens = () => this.className.split(/\s+/).filter(Boolean);
+    const write = list => this.setAttribute("class", [...new Set(list)].join(" "));
+    return {
+      add: (...names) => write([...tokens(), ...names]),
+      remove: (...names) => write(tokens().filter(name => !names.includes(name))),
+      contains: name => tokens().includes(name),
+      toggle: (name, force) => {
+        const add = force ?? !tokens().includes(name);
+        write(add ? [...tokens(), name] : tokens().filter(token => token !== name));
+        return add;
+      }
+    };
+  }
+
+  /** @returns {string} The string last assigned to innerHTML, or the text content. */
+  get innerHTML() { return this.#innerHTML || this.textContent; }
+
+  /**
+   * Stores markup without parsing it. Existing children are removed.
+   * @param {string} value - The markup.
+   */
+  set innerHTML(value) {
+    this.textContent = "";
+    this.#innerHTML = String(value);
+  }
+
+  /**
+   * Attaches a shadow root.
+   * @returns {ShadowRoot} The new shadow root.
+   */
+  attachShadow() {
+    this.shadowRoot = new ShimShadowRoot(this);
+    return this.shadowRoot;
+  }
+
+  /**
+   * Tests the element against a selector.
+   * @param {string} selector - A comma separated list of compound selectors.
+   * @returns {boolean} True if any of the selectors match.
+   */
+  matches(selector) {
+    return selector.split(",").some(part => this.#matchesCompound(part.trim()));
+  }
+
+  /**
+   * Tests the element against a single compound selector.
+   * @private
+   * @param {string} selector - A selector such as `div#id.class[attr="value"]`.
+   * @returns {boolean} True if the selector matches.
+   */
+  #matchesCompound(selector) {
+    const pattern = /^([a-z][\w-]*|\*)|#([\w-]+)|\.([\w-]+)|\[([\w-]+)(?:=["']?([^"'\]]*)["']?)?\]/gi;
+    let matched = 0;
+    for (const [token, tag, id, cls, attr, value] of selector.matchAll(pattern)) {
+      matched += token.length;
+      if (tag && tag !== "*" && tag.toLowerCase() !== this.localName) return false;
+      if (id && this.id !== id) return false;
+      if (cls && !this.classList.contains(cls)) return false;
+      if (attr && (!this.hasAttribute(attr) || (value !== undefined && this.getAttribute(attr) !== value))) return false;
+    }
+    return matched === selector.length && matched > 0;
+  }
+}
+
+/**
+ * @class ShimShadowRoot
+ * @extends ShimNode
+ * The shadow root returned by attachShadow(). Events bubble from it to its host.
+ */
+class ShimShadowRoot extends ShimNode {
+  /** @type {ShimElement} The element this root is attached to. */
+  host;
+
+  /**
+   * @param {ShimElement} host - The element this root is attached to.
+   */
+  constructor(host) {
+    super();
+    this.host = host;
+  }
+
+  /** @private @type {string} The raw string assigned to innerHTML. It is stored, not parsed. */
+  #innerHTML = "";
+
+  /** @returns {string} The string last assigned to innerHTML, or the text content. */
+  get innerHTML() { return this.#innerHTML || this.textContent; }
+
+  /**
+   * Stores markup without parsing it. Existing children are removed.
+   * @param {string} value - The markup.
+   */
+  set innerHTML(value) {
+    this.textContent = "";
+    this.#innerHTML = String(value);
+  }
+}
+
+/**
+ * @class ShimCustomElementRegistry
+ * A registry with define(), get() and whenDefined(). Elements created with document.createElement()
+ * for a defined name are instances of the registered class.
+ */
+class ShimCustomElementRegistry {
+  /** @private @static @type {Map<Function, string>} */
+  static #names = new Map();
+  /** @private @type {Map<string, Function>} */
+  #definitions = new Map();
+  /** @private @type {Map<string, {promise: Promise<Function>, resolve: Function}>} */
+  #pending = new Map();
+
+  /**
+   * Looks up the name a constructor was registered under.
+   * @static
+   * @param {Function} ctor - The custom element class.
+   * @returns {string|undefined} The registered name.
+   */
+  static nameOf(ctor) { return ShimCustomElementRegistry.#names.get(ctor); }
+
+  /**
+   * Registers a custom element.
+   * @param {string} name - The element name. Must contain a hyphen.
+   * @param {Function} ctor - The class, which should extend HTMLElement.
+   * @throws {Error} If the name is invalid or already defined.
+   */
+  define(name, ctor) {
+    if (!name.includes("-")) throw new Error(`'${name}' is not a valid custom element name.`);
+    if (this.#definitions.has(name)) throw new Error(`'${name}' has already been defined as a custom element.`);
+    this.#definitions.set(name, ctor);
+    ShimCustomElementRegistry.#names.set(ctor, name);
+    this.#pending.get(name)?.resolve(ctor);
+  }
+
+  /**
+   * Gets the class registered for a name.
+   * @param {string} name - The element name.
+   * @returns {Function|undefined} The registered class.
+   */
+  get(name) { return this.#definitions.get(name); }
+
+  /**
+   * Waits for a name to be defined.
+   * @param {string} name - The element name.
+   * @returns {Promise<Function>} Resolves with the class once it is defined.
+   */
+  whenDefined(name) {
+    if (this.#definitions.has(name)) return Promise.resolve(this.#definitions.get(name));
+    if (!this.#pending.has(name)) {
+      let resolve;
+      const promise = new Promise(res => { resolve = res; });
+      this.#pending.set(name, { promise, resolve });
+    }
+    return this.#pending.get(name).promise;
+  }
+}
+
+/**
+ * @class ShimDocument
+ * @extends ShimNode
+ * The global `document`, holding `<html>`, `<head>` and `<body>`.
+ */
+class ShimDocument extends ShimNode {
+  /** @type {ShimElement} */
+  documentElement;
+  /** @type {ShimElement} */
+  head;
+  /** @type {ShimElement} */
+  body;
+
+  constructor() {
+    super();
+    this.documentElement = new ShimElement("html");
+    this.head = new ShimElement("head");
+    this.body = new ShimElement("body");
+    this.documentElement.append(this.head, this.body);
+    this.childNodes.push(this.documentElement);
+    this.documentElement.parentNode = this;
+  }
+
+  /**
+   * Creates an element, constructing the registered class for custom element names.
+   * @param {string} tagName - The tag name.
+   * @returns {ShimElement} The new element.
+   */
+  createElement(tagName) {
+    const name = tagName.toLowerCase();
+    const Ctor = globalThis.customElements?.get(name);
+    return Ctor ? new Ctor() : new ShimElement(name);
+  }
+
+  /**
+   * Creates a text node.
+   * @param {string} data - The text.
+   * @returns {ShimText} The new text node.
+   */
+  createTextNode(data) { return new ShimText(data); }
+}
+
+/**
+ * @class ShimProgressEvent
+ * @extends Event
+ * A ProgressEvent with `lengthComputable`, `loaded` and `total`.
+ */
+class ShimProgressEvent extends Event {
+  /**
+   * @param {string} type - The event type.
+   * @param {object} [init={}] - The event init dictionary.
+   */
+  constructor(type, init = {}) {
+    super(type, init);
+    this.lengthComputable = !!init.lengthComputable;
+    this.loaded = init.loaded ?? 0;
+    this.total = init.total ?? 0;
+  }
+}
+
+/**
+ * Installs the shim on `globalThis`. Globals that already exist are left untouched,
+ * so calling this in a real browser is harmless.
+ * @returns {Document|ShimDocument} The global document.
+ */
+export function installDomShim() {
+  const globals = {
+    window: globalThis,
+    document: new ShimDocument(),
+    Node: ShimNode,
+    Element: ShimElement,
+    HTMLElement: ShimElement,
+    customElements: new ShimCustomElementRegistry(),
+    ProgressEvent: ShimProgressEvent,
+    CustomEvent: class CustomEvent extends Event {
+      constructor(type, init = {}) {
+        super(type, init);
+        this.detail = init.detail ?? null;
+      }
+    },
+    requestAnimationFrame: callback => setTimeout(() => callback(performance.now()), 16),
+    cancelAnimationFrame: id => clearTimeout(id)
+  };
+
+  for (const [name, value] of Object.entries(globals)) {
+    if (!(name in globalThis)) {
+      Object.defineProperty(globalThis, name, { value, writable: true, configurable: true });
+    }
+  }
+  return globalThis.document;
+}
@@ -5,7 +5,8 @@
  */
 
 // import app from './app.js';
-import ATestRunner from '../src/ATestrunner.js';
+import ATestRunner from '../src/ATestRunner.js';
+import '../src/atest-results.js';
 
 
 /**
@@ -48,15 +49,25 @@ const app = {
 const runner = new ATestRunner(import.meta.url)
 
 const {
+	addEqualityTester,
+	arb,
+	bench,
 	benchmark,
+	diff,
 	equal,
+	expect,
+	fn,
 	genCombos,
 	group,
 	info,
+	matchSnapshot,
+	mockObject,
+	property,
 	skip,
 	spyOn,
 	test,
 	throws,
+	useFakeTimers,
 	wait,
 	when
 } = runner;
@@ -97,6 +108,39 @@ group("Testing Errors", () => {
 	);
 });
 
+group("Testing nested groups", () => {
+	test("tests before a nested group are reported first", true, true);
+
+	group("A nested group", () => {
+		test("nested tests are reported inside their group", true, true);
+
+		group("A deeper group", () => {
+			test("groups can be nested to any depth", true, true);
+		});
+	});
+
+	test("tests after a nested group stay in the outer group", true, true);
+});
+
+group("Testing lifecycle hooks", () => {
+	const calls = [];
+	// beforeAll(fn), afterAll(fn), beforeEach(fn), afterEach(fn)
+	runner.beforeAll(() => calls.push('beforeAll'));
+	runner.beforeEach(async () => {
+		await wait(1);
+		calls.push('beforeEach');
+	});
+	runner.afterEach(() => calls.push('afterEach'));
+
+	test("beforeAll and beforeEach run before the first test", () => [...calls], ['beforeAll', 'beforeEach']);
+	test("afterEach runs after each test", () => [...calls], ['beforeAll', 'beforeEach', 'afterEach', 'beforeEach']);
+
+	group("A group whose beforeAll hook fails", () => {
+		runner.beforeAll(() => { throw new Error('Setup failed') });
+		test("This is skipped because its beforeAll hook failed", true, true);
+	});
+});
+
 // skip(gist, testFn, expectedValue)
 skip("This is skipped", app.foo, 'bar');
 
@@ -115,6 +159,47 @@ group("Testing benchmark()", () => {
 	);
 });
 
+group("Testing bench()", () => {
+	const numbers = Array.from({ length: 100 }, (_, i) => i);
+
+	// bench(gist, fns, { warmup, samples, minSampleTime, maxTime, budget })
+	// Medians this short swing several times over between runs, so they are recorded but never compared.
+	bench("Summing 100 numbers", {
+		reduce: () => numbers.reduce((sum, n) => sum + n, 0),
+		loop: () => { let sum = 0; for (const n of numbers) sum += n; return sum }
+	}, { samples: 5, maxTime: 100, budget: { median: 5 }, baselineTolerance: Infinity });
+});
+
+group("Testing expect()", () => {
+	// expect(value).matcher(expected)
+	test("matchers that hold pass", () => {
+		expect(app.foo).toBe('foo');
+		expect(app.pojo).toEqual({a:1, b:2, c:3});
+		expect(app.arr).toContain(2);
+		expect(app.foo).toMatch(/^f/);
+		expect(app.date1).toBeInstanceOf(Date);
+		expect(0.1 + 0.2).toBeCloseTo(0.3);
+		expect(app.arr).toHaveLength(3);
+		expect(app).toHaveProperty('pojo.a', 1);
+		expect(app.bar).not.toBe('bar');
+	});
+
+	test("toThrow() checks the error class and message", () => {
+		expect(() => null.foo).toThrow(TypeError);
+		expect(() => app.throwsError()).toThrow(Error, 'Oopsie');
+		expect(() => app.throwsError('goodArg')).not.toThrow();
+	});
+
+	test("resolves and rejects unwrap promises", async () => {
+		await expect(app.asyncFunc('foo')).resolves.toBe('foo');
+		await expect(Promise.reject(new RangeError('Too big'))).rejects.toThrow(RangeError, /big/);
+	});
+
+	test("This should fail with a matcher message", () => {
+		expect(app.arr).toContain(4);
+	});
+});
+
 group("Testing equal()", () => {
 	// equal(a, b)
 	test("arrays should be equal", equal(app.arr, [1,2,3]), true);
@@ -145,6 +230,55 @@ group("Testing equal()", () => {
 	// Maps and Sets
 	test("handles Maps", equal(app.map1, app.map2), true);
 	test("handles Sets with objects", equal(app.set1, app.set2), true);
+
+	// equal(a, b, options)
+	class Point { constructor(x, y) { this.x = x; this.y = y; } }
+	test("is strict about prototypes by default", equal(new Point(1, 2), { x: 1, y: 2 }), false);
+	test("ignores prototypes with { ignorePrototypes: true }", equal(new Point(1, 2), { x: 1, y: 2 }, { ignorePrototypes: true }), true);
+	test("still tells arrays from objects with { ignorePrototypes: true }", equal([1], { 0: 1 }, { ignorePrototypes: true }), false);
+	test(
+		"ignores keys at any depth, and paths",
+		equal(
+			{ id: 1, user: { id: 2, name: 'Ann' }, items: [{ id: 3 }] },
+			{ id: 9, user: { id: 8, name: 'Ann' }, items: [{ id: 7 }] },
+			{ ignore: ['id'] }
+		) && !equal({ user: { id: 2 }, id: 1 }, { user: { id: 3 }, id: 4 }, { ignore: ['user.id'] }),
+		true
+	);
+	const tag = Symbol('tag');
+	test("ignores symbol keys by default", equal({ [tag]: 1 }, { [tag]: 2 }), true);
+	test("compares symbol keys with { symbols: true }", diff({ [tag]: 1 }, { [tag]: 2 }, { symbols: true }).map(d => d.path), ['[Symbol(tag)]']);
+	test(
+		"compares non-enumerable keys with { nonEnumerable: true }",
+		equal(Object.defineProperty({}, 'hidden', { value: 1 }), Object.defineProperty({}, 'hidden', { value: 2 }), { nonEnumerable: true }),
+		false
+	);
+	test("treats undefined properties as absent with { ignoreUndefined: true }", equal({ a: 1, b: undefined }, { a: 1 }, { ignoreUndefined: true }), true);
+	test("treats NaN as equal to NaN with { equalNaN: true }", [equal(NaN, NaN), equal([NaN], [NaN], { equalNaN: true })], [false, true]);
+	test("compares numbers within { tolerance }", equal({ total: 0.1 + 0.2 }, { total: 0.3 }, { tolerance: 1e-9 }), true);
+	test("takes equality options for comparing a result", { total: 0.1 + 0.2, at: Date.now() }, { total: 0.3 }, { equality: { tolerance: 1e-9, ignore: ['at'] } });
+	test("passes options on from toEqual()", () => expect([0.1 + 0.2]).toEqual([0.3], { tolerance: 1e-9 }));
+
+	// addEqualityTester(tester)
+	class Money {
+		constructor(amount, currency) { this.amount = amount; this.currency = currency; this.createdAt = Math.random(); }
+		equals(other) { return this.amount === other.amount && this.currency === other.currency; }
+	}
+	addEqualityTester((a, b) => a instanceof Money && b instanceof Money ? a.equals(b) : undefined);
+	test("uses custom equality testers, at any depth", equal({ price: new Money(5, 'EUR') }, { price: new Money(5, 'EUR') }), true);
+	test("reports a difference found by a custom tester", diff([new Money(5, 'EUR')], [new Money(6, 'EUR')]).map(d => d.path), ['[0]']);
+});
+
+group("Testing diff()", () => {
+	// diff(actual, expected, { all = true })
+	test(
+		"lists the path of each difference",
+		diff({ items: [{ price: 10 }], a: 1 }, { items: [{ price: 12 }], b: 1 }).map(d => d.message),
+		['items[0].price: 10 !== 12', 'a: unexpected 1', 'b: missing, expected 1']
+	);
+	test("stops at the first difference with { all: false }", diff([1, 2], [3, 4], { all: false }).length, 1);
+	test("returns an empty array for equal values", diff(app.set1, app.set2), []);
+	test("This should fail and report a diff", app.pojo, { a: 1, b: 3, c: 3 });
 });
 
 info("Testing wait()")
@@ -203,6 +337,46 @@ group("Testing spyOn()", () => {
 	appSpy.restore();
 });
 
+group("Testing fn() and automatic restore", () => {
+	test("fn() records calls, this values and results", () => {
+		const mock = fn((a, b) => a + b);
+		const context = { name: 'ctx' };
+		mock.call(context, 1, 2);
+		mock(3, 4);
+		return [mock.calledWith(1, 2), mock.lastCalledWith(3, 4), mock.calledTimes(2), mock.thisValues[0], mock.results.map(r => r.value)];
+	}, [true, true, true, { name: 'ctx' }, [3, 7]]);
+
+	test("returnsOnce() and throwsOnce() apply to one call each, in order", () => {
+		const mock = fn().returns('default').returnsOnce('first').throwsOnce(new TypeError('second'));
+		const first = mock();
+		const second = throws(mock);
+		return [first, second, mock(), mock.threw(TypeError), mock.threw('second')];
+	}, ['first', true, 'default', true, true]);
+
+	test("spyOn(obj, prop, 'get') spies on a property", () => {
+		const settings = { theme: 'light' };
+		const getter = spyOn(settings, 'theme', 'get').returns('dark');
+		const theme = settings.theme;
+		getter.restore();
+		return [theme, getter.callCount, settings.theme, Object.getOwnPropertyDescriptor(settings, 'theme').value];
+	}, ['dark', 1, 'light', 'light']);
+
+	test("mockObject() replaces every method", () => {
+		const mocks = mockObject(app);
+		return [app.foo === undefined, app.getArg('x'), mocks.getArg.calledWith('x')];
+	}, [false, undefined, true]);
+
+	test("spies created by a test are restored when it finishes", () => app.getArg('restored'), 'restored');
+
+	const realDebug = console.debug;
+	test("a spy left in place by a test...", () => {
+		spyOn(console, 'debug').runs(() => 'mocked');
+		return console.debug() === 'mocked';
+	}, true);
+
+	test("...does not leak into the next test", () => console.debug === realDebug, true);
+});
+
 group("Testing genCombos()", () => {
 	/**
 	 * *genCombos(options = {})
@@ -217,12 +391,82 @@ group("Testing genCombos()", () => {
 	}
 });
 
+group("Testing test.each() and group.each()", () => {
+	test.each([[1, 1, 2], [2, 3, 5]])("%i + %i is %i", (a, b, sum) => a + b === sum, true);
+
+	test.each([{ a: 1, b: 2, sum: 3 }, { a: -1, b: 1, sum: 0 }])("$a + $b is $sum", ({ a, b, sum }) => a + b === sum, true);
+
+	test.each(genCombos({ a: [1, 2], b: 'c' }))("b is '$b' when a is $a", ({ b }) => b, 'c');
+
+	group.each([["English", "Hello"], ["French", "Bonjour"]])("Greeting in %s", (language, word) => {
+		test(`"${word}" is capitalized`, word[0] === word[0].toUpperCase(), true);
+	});
+});
+
+group("Testing property()", () => {
+	property("Addition is commutative", { a: arb.integer(), b: arb.integer() }, ({ a, b }) => a + b === b + a);
+
+	property("Reversing an array twice gives the original", { list: arb.array(arb.string()) }, ({ list }) => {
+		return equal([...list].reverse().reverse(), list);
+	});
+
+	property("Records treat arrays as choices and other values as constants", { mode: ['a', 'b'], size: 3 }, ({ mode, size }) => ['a', 'b'].includes(mode) && size === 3, { runs: 20 });
+});
+
 const outputEl = document.createElement('div');
 outputEl.addEventListener(runner.resultEventName, (event) => { event.target.toggleAttribute('flag', true) });
 // Store the original output
 const originalOutput = runner.output;
 document.body.append(outputEl);
 
+group("Testing useFakeTimers()", () => {
+	test("tick() fires due timers in order and moves Date", () => {
+		const clock = useFakeTimers({ now: 0 });
+		const fired = [];
+		setTimeout(() => fired.push('timeout 50'), 50);
+		const interval = setInterval(() => fired.push(`interval at ${Date.now()}`), 20);
+		clock.tick(60);
+		clearInterval(interval);
+		return fired;
+	}, ['interval at 20', 'interval at 40', 'timeout 50', 'interval at 60']);
+
+	test("runOnlyPending() leaves timers scheduled while running", () => {
+		const clock = useFakeTimers();
+		let count = 0;
+		const repeat = () => { count++; setTimeout(repeat, 10) };
+		setTimeout(repeat, 10);
+		clock.runOnlyPending();
+		return count;
+	}, 1);
+
+	test("setSystemTime() sets new Date()", () => {
+		useFakeTimers().setSystemTime('2020-01-01T00:00:00Z');
+		return new Date().toISOString();
+	}, '2020-01-01T00:00:00.000Z');
+
+	test("Date() returns the fake time as a string, and dates are still instances of Date", () => {
+		useFakeTimers().setSystemTime('2020-01-01T00:00:00Z');
+		return [Date() === new Date().toString(), new Date(0) instanceof Date, Date.UTC(2020, 0, 1) === Date.now()];
+	}, [true, true, true]);
+
+	test("the real timers are restored after each test", async () => {
+		await wait(1);
+		return new Date().getFullYear() > 2020;
+	}, true);
+});
+
+group("Testing matchSnapshot()", () => {
+	// The first run stores the snapshots; later runs compare against them.
+	test("objects, Maps, Sets and Dates", () => matchSnapshot({ map: app.map1, set: app.set1, date: app.date1 }), true);
+
+	test("DOM elements are stored as HTML", () => {
+		const card = document.createElement('div');
+		card.setAttribute('class', 'card');
+		card.innerHTML = '<h2>Title</h2>';
+		return matchSnapshot(card, 'card');
+	}, true);
+});
+
 group("Testing DOM Events", () => {
   test("sends correctly formatted result events to an HTMLElement", async () => {
     // Create a separate runner for this test.
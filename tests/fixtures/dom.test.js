@@ -0,0 +1,13 @@
+import ATestRunner from '../../src/ATestRunner.js';
+
+const runner = new ATestRunner(import.meta.url);
+const { test } = runner;
+
+test("creates and finds an element", () => {
+	const div = document.createElement('div');
+	div.id = 'found';
+	document.body.append(div);
+	return document.querySelector('#found') === div;
+}, true);
+
+runner.run();
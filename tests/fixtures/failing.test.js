@@ -0,0 +1,8 @@
+import ATestRunner from '../../src/ATestRunner.js';
+
+const runner = new ATestRunner(import.meta.url);
+const { test } = runner;
+
+test("one equals two", 1, 2);
+
+runner.run();
@@ -0,0 +1,11 @@
+import ATestRunner from '../../src/ATestRunner.js';
+
+const runner = new ATestRunner(import.meta.url);
+const { group, test } = runner;
+
+group("Passing", () => {
+	test("one equals one", 1, 1);
+	test("resolves a promise", async () => 'foo', 'foo');
+});
+
+runner.run();
@@ -0,0 +1,279 @@
+/**
+ * Tests for the headless CLI.
+ * @file node.tests.js
+ * @url https://github.com/HolmesBryant/ATestRunner
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { once } from 'node:events';
+import { fileURLToPath } from 'node:url';
+
+const cli = fileURLToPath(new URL('../bin/atestrunner.js', import.meta.url));
+const runnerURL = new URL('../src/ATestRunner.js', import.meta.url).href;
+const fixture = name => fileURLToPath(new URL(`./fixtures/${name}`, import.meta.url));
+
+function atestrunner(...args) {
+	return spawnSync(process.execPath, [cli, ...args], { encoding: 'utf8', timeout: 30000 });
+}
+
+function atestrunnerWithEnv(env, ...args) {
+	return spawnSync(process.execPath, [cli, ...args], { encoding: 'utf8', timeout: 30000, env: { ...process.env, ...env } });
+}
+
+function tempDir(t) {
+	const dir = mkdtempSync(join(tmpdir(), 'atestrunner-'));
+	t.after(() => rmSync(dir, { recursive: true, force: true }));
+	return dir;
+}
+
+function writeSuite(dir, name, body) {
+	const file = join(dir, name);
+	writeFileSync(file, `import ATestRunner from ${JSON.stringify(runnerURL)};\n${body}`);
+	return file;
+}
+
+test("exits with 0 when every suite passes", () => {
+	const { status, stdout } = atestrunner(fixture('passing.test.js'));
+	assert.equal(status, 0);
+	assert.match(stdout, /PASS.*one equals one/);
+	assert.match(stdout, /DONE: PASS/);
+});
+
+test("exits with 1 when a suite fails", () => {
+	const { status, stdout } = atestrunner(fixture('passing.test.js'), fixture('failing.test.js'));
+	assert.equal(status, 1);
+	assert.match(stdout, /FAIL.*one equals two/);
+});
+
+test("DOM suites fail without --dom and pass with it", () => {
+	assert.equal(atestrunner(fixture('dom.test.js')).status, 1);
+	assert.equal(atestrunner('--dom', fixture('dom.test.js')).status, 0);
+});
+
+test("reports each file in its own section with one summary", () => {
+	const { stdout } = atestrunner('--dom', fixture(''));
+	const sections = stdout.match(/^\S*tests\/fixtures\/\S+\.test\.js/gm).map(line => line.replace(/\x1b\[\d+m/g, ''));
+	assert.deepEqual(sections, ['tests/fixtures/dom.test.js', 'tests/fixtures/failing.test.js', 'tests/fixtures/passing.test.js']);
+	assert.match(stdout, /3 passed.*1 failed/);
+	assert.equal(stdout.match(/DONE/g).length, 1);
+});
+
+test("runs the runners a file starts one after another", (t) => {
+	const dir = tempDir(t);
+	const file = writeSuite(dir, 'two.test.js', `
+		const first = new ATestRunner();
+		first.group("First", () => {
+			first.test("waits", () => first.wait(30).then(() => 1), 1);
+			first.test("follows", 1, 1);
+		});
+		first.run();
+		const second = new ATestRunner();
+		second.group("Second", () => second.test("runs last", 1, 1));
+		await second.run();
+	`);
+
+	const { status, stdout } = atestrunner(file);
+	assert.equal(status, 0);
+	const lines = stdout.replace(/\x1b\[\d+m/g, '').split('\n').map(line => line.trim());
+	const order = ['First', 'PASS waits', 'PASS follows', 'Second', 'PASS runs last'].map(line => lines.indexOf(line));
+	assert.ok(order.every((index, i) => index > (order[i - 1] ?? -1)), stdout);
+});
+
+test("--isolate runs each file in a worker with the same setup", () => {
+	const { status, stdout } = atestrunner('--isolate', '--dom', fixture('dom.test.js'), fixture('passing.test.js'));
+	assert.equal(status, 0);
+	assert.match(stdout, /PASS.*creates and finds an element/);
+	assert.match(stdout, /PASS.*resolves a promise/);
+});
+
+test("exits with 2 when no files are given", () => {
+	assert.equal(atestrunner().status, 2);
+});
+
+test("exits with 2 on a path that does not exist or an unknown option", () => {
+	const missing = atestrunner('no-such.test.js');
+	assert.equal(missing.status, 2);
+	assert.match(missing.stderr, /No such file or directory: 'no-such\.test\.js'\.\nUsage:/);
+
+	const unknown = atestrunner('--reportr=tap', fixture('passing.test.js'));
+	assert.equal(unknown.status, 2);
+	assert.match(unknown.stderr, /Unknown option '--reportr=tap'\.\nUsage:/);
+});
+
+test("--reporter=tap writes one TAP document for every suite", () => {
+	const { status, stdout } = atestrunner('--reporter=tap', fixture('passing.test.js'), fixture('failing.test.js'));
+	assert.equal(status, 1);
+	assert.match(stdout, /^TAP version 13\n/);
+	assert.match(stdout, /^ok 1 - one equals one$/m);
+	assert.match(stdout, /^not ok 3 - one equals two$/m);
+	assert.match(stdout, /^1\.\.3\n$/m);
+});
+
+test("options take their value after = or as the next argument", () => {
+	const { status, stdout } = atestrunner('--reporter', 'tap', fixture('passing.test.js'));
+	assert.equal(status, 0);
+	assert.match(stdout, /^TAP version 13\n/);
+
+	const missing = atestrunner(fixture('passing.test.js'), '--outfile');
+	assert.equal(missing.status, 2);
+	assert.match(missing.stderr, /--outfile expects a value\./);
+});
+
+test("the test query parameter runs exactly one test", (t) => {
+	const dir = tempDir(t);
+	const file = writeSuite(dir, 'query.test.js', `
+		globalThis.location = { search: '?' + new URLSearchParams({ test: 'Parser › rejects' }) };
+		const runner = new ATestRunner();
+		runner.group("Parser", () => {
+			runner.test("rejects", 1, 1);
+			runner.test("rejects brackets", 1, 1);
+		});
+		runner.run();
+	`);
+
+	const { stdout } = atestrunner(file);
+	assert.match(stdout, /PASS.*rejects\n/);
+	assert.match(stdout, /SKIP.*rejects brackets/);
+});
+
+test("--reporter=junit writes groups as testsuites", () => {
+	const { stdout } = atestrunner('--reporter=junit', fixture('passing.test.js'), fixture('failing.test.js'));
+	assert.match(stdout, /<testsuites name="ATestRunner" tests="3" failures="1" errors="0" skipped="0"/);
+	assert.match(stdout, /<testsuite name="tests\/fixtures\/passing\.test\.js &gt; Passing" tests="2"/);
+	assert.match(stdout, /<failure message="Expected 2 but got 1">/);
+});
+
+test("matchSnapshot() writes a snapshot file, fails on a change and accepts it with --update-snapshots", (t) => {
+	const dir = tempDir(t);
+	const file = writeSuite(dir, 'snapshot.test.js', `
+		const runner = new ATestRunner(import.meta.url);
+		runner.test("renders", () => runner.matchSnapshot({ items: new Set([process.env.ITEM]) }), true);
+		runner.run();
+	`);
+
+	assert.equal(atestrunnerWithEnv({ ITEM: 'a' }, file).status, 0);
+	const stored = JSON.parse(readFileSync(join(dir, 'snapshot.test.snap.json'), 'utf8'));
+	assert.deepEqual(stored, { 'renders 1': '{\n  "items": Set {\n    "a"\n  }\n}' });
+
+	const changed = atestrunnerWithEnv({ ITEM: 'b' }, file);
+	assert.equal(changed.status, 1);
+	assert.match(changed.stdout, /Snapshot "renders 1" does not match/);
+	assert.match(changed.stdout, /line 3: "b" !== "a"/);
+
+	assert.equal(atestrunnerWithEnv({ ITEM: 'b' }, '--update-snapshots', file).status, 0);
+	assert.equal(atestrunnerWithEnv({ ITEM: 'b' }, file).status, 0);
+});
+
+test("benchmark() stores a baseline, reports regressions and improvements and accepts new times with --update-baselines", (t) => {
+	const dir = tempDir(t);
+	const file = writeSuite(dir, 'speed.test.js', `
+		const runner = new ATestRunner(import.meta.url);
+		const spin = ms => { const end = performance.now() + ms; while (performance.now() < end); };
+		runner.test("spins", async () => await runner.benchmark(() => spin(Number(process.env.MS)), 3) > 0, true);
+		runner.run();
+	`);
+	const baseline = () => JSON.parse(readFileSync(join(dir, 'speed.test.bench.json'), 'utf8'))['spins 1'];
+
+	// Every comparison changes the time at least fourfold, well past the tolerance of 20% even on a busy machine.
+	assert.equal(atestrunnerWithEnv({ MS: '10' }, file).status, 0);
+	assert.ok(baseline() >= 10);
+
+	const slower = atestrunnerWithEnv({ MS: '40' }, file);
+	assert.equal(slower.status, 1);
+	assert.match(slower.stdout, /REGRESSED.*spins/);
+	assert.match(slower.stdout, /"spins 1" took .*ms per call, \d+% slower than its baseline/);
+	assert.match(slower.stdout, /1 regressed/);
+
+	const faster = atestrunnerWithEnv({ MS: '2' }, file);
+	assert.equal(faster.status, 0);
+	assert.match(faster.stdout, /IMPROVED.*spins/);
+	assert.match(faster.stdout, /Turn on updateBaselines/);
+	assert.ok(baseline() >= 10, 'an improvement does not replace the baseline');
+
+	const updated = atestrunnerWithEnv({ MS: '40' }, '--update-baselines', file);
+	assert.equal(updated.status, 0);
+	assert.doesNotMatch(updated.stdout, /REGRESSED/);
+	assert.ok(baseline() >= 40);
+});
+
+test("--watch re-runs only the files affected by a change", async (t) => {
+	const dir = tempDir(t);
+	writeFileSync(join(dir, 'math.js'), 'export const add = (a, b) => a + b;');
+	writeSuite(dir, 'math.test.js', `
+		import { add } from './math.js';
+		const runner = new ATestRunner(import.meta.url);
+		runner.test("adds", add(1, 2), 3);
+		runner.run();
+	`);
+	writeSuite(dir, 'other.test.js', `
+		const runner = new ATestRunner(import.meta.url);
+		runner.test("other", 1, 1);
+		runner.run();
+	`);
+
+	const child = spawn(process.execPath, [cli, '--watch', dir], { cwd: dir });
+	t.after(() => child.kill());
+	let stdout = '';
+	child.stdout.setEncoding('utf8').on('data', chunk => { stdout += chunk });
+	const output = text => new Promise((resolve, reject) => {
+		const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${text}:\n${stdout}`)), 15000);
+		const check = () => { if (stdout.includes(text)) { clearTimeout(timer); resolve(); } else child.stdout.once('data', check); };
+		check();
+	});
+
+	await output('all passing');
+	writeFileSync(join(dir, 'math.js'), 'export const add = (a, b) => a - b;');
+	await output('1 failing: math.test.js');
+	const rerun = stdout.slice(stdout.indexOf('Changed: math.js. Re-running 1 file(s).'));
+	assert.match(rerun, /FAIL.*adds/);
+	assert.doesNotMatch(rerun, /other/);
+
+	child.kill('SIGINT');
+	const [code] = await once(child, 'exit');
+	assert.equal(code, 0);
+});
+
+test("--coverage reports the modules under test and fails below the threshold", (t) => {
+	const dir = tempDir(t);
+	writeFileSync(join(dir, 'sign.js'), [
+		'/**',
+		' * Returns the sign of a number.',
+		' */',
+		'export function sign(n) {',
+		'  // Negative numbers',
+		'  if (n < 0) {',
+		'    return -1;',
+		'  }',
+		'  return 1; // "// not a comment" is',
+		'}'
+	].join('\n'));
+	writeSuite(dir, 'sign.test.js', `
+		import { sign } from './sign.js';
+		const runner = new ATestRunner(import.meta.url);
+		runner.test("positive", sign(2), 1);
+		runner.run();
+	`);
+
+	const run = (...args) => spawnSync(process.execPath, [cli, ...args, 'sign.test.js'], { cwd: dir, encoding: 'utf8', timeout: 30000 });
+	const { status, stdout } = run('--coverage');
+	assert.equal(status, 0);
+	assert.match(stdout, /^sign\.js\s+66\.66%\s+0\.00%\s+100\.00%\s+7-8$/m);
+	assert.doesNotMatch(stdout, /(sign\.test|ATestRunner)\.js\s+\d/);
+
+	const lcov = readFileSync(join(dir, 'coverage', 'lcov.info'), 'utf8');
+	assert.match(lcov, /^SF:.*sign\.js$/m);
+	assert.match(lcov, /^DA:7,0$/m);
+	assert.doesNotMatch(lcov, /^DA:[1235],/m);
+	assert.match(lcov, /^BRF:1$/m);
+	assert.equal(JSON.parse(readFileSync(join(dir, 'coverage', 'coverage-summary.json'), 'utf8')).total.lines.covered, 4);
+
+	const strict = run('--coverage-threshold=lines=80');
+	assert.equal(strict.status, 1);
+	assert.match(strict.stderr, /Coverage for lines \(66\.66%\) is below the threshold of 80%/);
+});
+
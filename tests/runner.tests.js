@@ -0,0 +1,365 @@
+/**
+ * Tests for the runner's behaviour, run in this process against the DOM shim.
+ * @file runner.tests.js
+ * @url https://github.com/HolmesBryant/ATestRunner
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDomShim } from '../src/dom-shim.js';
+import ATestRunner, { ATestOrchestrator } from '../src/ATestRunner.js';
+
+installDomShim();
+await import('../src/atest-results.js');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Runs the tests that `define` adds to a new runner and collects what its reporter receives.
+ * @param {Function} define - Called with the runner to add tests, groups and hooks.
+ * @param {object} [settings={}] - Properties to set on the runner, e.g. `retries`.
+ * @param {object} [runOptions] - Options for `run()`.
+ * @returns {Promise<object>} The `runner`, its `verdict`, the `results`, the `groups` ended, the run `summary`, and
+ *   `events`: 'start <path>', '<verdict> <gist>' and 'end <path>' lines in the order they were reported.
+ */
+async function collect(define, settings = {}, runOptions) {
+	const runner = new ATestRunner();
+	const collected = { runner, results: [], groups: [], events: [], summary: null };
+	runner.output = {
+		report: (result) => {
+			collected.results.push(result);
+			collected.events.push(`${result.verdict} ${result.gist}`);
+		},
+		groupStart: (gist, path) => collected.events.push(`start ${path.join(' > ')}`),
+		groupEnd: (group) => {
+			collected.groups.push(group);
+			collected.events.push(`end ${group.path.join(' > ')}`);
+		},
+		complete: (verdict, summary) => { collected.summary = summary; }
+	};
+	Object.assign(runner, settings);
+	define(runner);
+	collected.verdict = await runner.run(runOptions);
+	return collected;
+}
+
+test("output = 'tap' builds a TAP report", async () => {
+	const { runner } = await collect(runner => {
+		runner.test("passes", 1, 1);
+		runner.skip("is skipped", 1, 1);
+	}, { output: 'tap' });
+	assert.equal(runner.reporter.output, "TAP version 13\nok 1 - passes\nok 2 - is skipped # SKIP\n1..2\n");
+});
+
+test("addReporter() sends every event to each reporter and isolates one that throws", async () => {
+	const added = [];
+	const { results, verdict } = await collect(runner => {
+		runner.addReporter({ report: (result) => added.push(result.gist) });
+		runner.addReporter({ report() { throw new Error('Broken reporter') } });
+		runner.test("first", 1, 1);
+		runner.test("second", 1, 1);
+	});
+	const expected = ["first", "Object.report() threw and the reporter was disabled", "second"];
+	assert.deepEqual(added, expected);
+	assert.deepEqual(results.map(result => result.gist), expected);
+	assert.equal(verdict, 'fail');
+});
+
+test("results carry their duration and are marked slow at slowThreshold", async () => {
+	const { results, summary } = await collect(runner => {
+		runner.test("fast", 1, 1);
+		runner.test("slow", async () => { await sleep(40); return 1 }, 1);
+	}, { slowThreshold: 20 });
+	assert.deepEqual(results.map(result => result.slow), [false, true]);
+	assert.ok(results[1].duration >= 30);
+	assert.ok(summary.duration >= results[1].duration);
+});
+
+test("result events carry the group path", async () => {
+	const element = document.createElement('div');
+	const details = [];
+	const runner = new ATestRunner();
+	runner.output = element;
+	element.addEventListener(runner.resultEventName, (event) => details.push(event.detail));
+	runner.group("Parser", () => {
+		runner.group("Errors", () => runner.test("fails", 1, 2));
+	});
+	await runner.run();
+
+	const result = details.find(detail => detail.verdict === 'FAIL');
+	const parserEnd = details.findLast(detail => detail.verdict === 'GROUP_END');
+	assert.deepEqual([result.path, parserEnd.path, parserEnd.groupVerdict], [["Parser", "Errors"], ["Parser"], 'fail']);
+});
+
+test("the completion event carries the verdict and the run summary", async () => {
+	const element = document.createElement('div');
+	const runner = new ATestRunner();
+	let detail;
+	runner.output = element;
+	element.addEventListener(runner.completeEventName, (event) => { detail = event.detail });
+	runner.group("Counted", () => {
+		runner.test("passes", 1, 1);
+		runner.test("fails", 1, 2);
+		runner.todo("is not written yet");
+	});
+	runner.skip("is skipped", 1, 1);
+	await runner.run();
+
+	const { passed, failed, errored, skipped, todo, total, groups: [group] } = detail.summary;
+	assert.equal(detail.verdict, 'fail');
+	assert.deepEqual({ passed, failed, errored, skipped, todo, total }, { passed: 1, failed: 1, errored: 0, skipped: 1, todo: 1, total: 4 });
+	assert.deepEqual([group.gist, group.passed, group.total], ["Counted", 1, 3]);
+});
+
+test("<atest-results> renders results as text inside their groups", async () => {
+	const panel = document.createElement('atest-results');
+	document.body.append(panel);
+	const runner = new ATestRunner();
+	runner.output = panel;
+	runner.group("Parser", () => {
+		runner.test("passes", 1, 1);
+		runner.test("<img src=x onerror=alert(1)>", 1, 2);
+	});
+	await runner.run();
+	panel.remove();
+
+	const root = panel.shadowRoot;
+	const failing = root.querySelector('.test.fail');
+	assert.equal(root.querySelectorAll('.test').length, 2);
+	assert.equal(root.querySelector('img'), null);
+	assert.equal(failing.querySelector('.gist').textContent, "<img src=x onerror=alert(1)>");
+	assert.equal(new URLSearchParams(failing.querySelector('.rerun').getAttribute('href')).get('test'), "Parser › <img src=x onerror=alert(1)>");
+	assert.equal(root.querySelector('summary').getAttribute('class'), 'fail');
+	assert.equal(panel.getAttribute('verdict'), 'fail');
+});
+
+test("<atest-results> leaves the orchestrator's file section out of rerun links", () => {
+	const panel = document.createElement('atest-results');
+	document.body.append(panel);
+	const detail = { gist: "rejects", verdict: "FAIL", path: ["parser.test.js", "Parser"], section: "parser.test.js" };
+	panel.dispatchEvent(new CustomEvent('a-testresult', { detail }));
+	panel.remove();
+	assert.equal(new URLSearchParams(panel.shadowRoot.querySelector('.rerun').getAttribute('href')).get('test'), "Parser › rejects");
+});
+
+test("groups skipped by a failed beforeAll hook keep their group events", async () => {
+	const { events, groups } = await collect(runner => {
+		runner.group("Outer", () => {
+			runner.beforeAll(() => { throw new Error('Setup failed') });
+			runner.test("first", 1, 1);
+			runner.group("Inner", () => runner.test("second", 1, 1));
+		});
+	});
+	assert.deepEqual(events, ["start Outer", "error beforeAll hook", "skip first", "start Outer > Inner", "skip second", "end Outer > Inner", "end Outer"]);
+	assert.deepEqual(groups.map(group => group.skipped), [1, 2]);
+});
+
+test("reset() clears the queue and the verdict so the runner can run new tests", async () => {
+	const { runner, verdict, results } = await collect(runner => runner.test("fails", 1, 2));
+	runner.reset();
+	runner.test("passes", 1, 1);
+	assert.equal(verdict, 'fail');
+	assert.equal(await runner.run(), 'pass');
+	assert.deepEqual(results.map(result => result.gist), ["fails", "passes"]);
+});
+
+test("run() returns the current run's promise and starts afresh once it has finished", async () => {
+	const runner = new ATestRunner();
+	let calls = 0;
+	runner.output = { report() {} };
+	runner.test("fails the first time", () => ++calls, 2);
+	const first = runner.run();
+	assert.equal(runner.run(), first);
+	assert.equal(await first, 'fail');
+	assert.equal(await runner.run(), 'pass');
+});
+
+test("run({ signal }) finishes the current test and reports the rest as cancelled", async () => {
+	const controller = new AbortController();
+	const { verdict, events, groups } = await collect(runner => {
+		runner.test("aborts the run", () => { controller.abort(); return 1 }, 1);
+		runner.group("Later", () => {
+			runner.beforeAll(() => { throw new Error('Should not run') });
+			runner.test("never starts", 1, 1);
+		});
+	}, {}, { signal: controller.signal });
+	assert.equal(verdict, 'fail');
+	assert.deepEqual(events, ["pass aborts the run", "start Later", "cancelled never starts", "end Later"]);
+	assert.deepEqual([groups[0].verdict, groups[0].cancelled], ['fail', 1]);
+});
+
+test("a test that times out has its signal aborted", async () => {
+	let signal;
+	await collect(runner => {
+		runner.test("hangs", ({ signal: testSignal }) => { signal = testSignal; return new Promise(() => {}) }, 1);
+	}, { timeout: 20 });
+	assert.equal(signal.aborted, true);
+	assert.equal(signal.reason.message, "Test timed out after 20ms");
+});
+
+test("test.only() and group.only() report every other test as skipped", async () => {
+	const { results } = await collect(runner => {
+		runner.test("not focused", 1, 1);
+		runner.test.only("focused test", 1, 1);
+		runner.group.only("Focused group", () => runner.test("inside focused group", 1, 1));
+		runner.group("Other group", () => {
+			runner.beforeAll(() => { throw new Error('Should not run') });
+			runner.test("inside other group", 1, 1);
+		});
+	});
+	assert.deepEqual(Object.fromEntries(results.map(result => [result.gist, result.verdict])),
+		{ "not focused": 'skip', "focused test": 'pass', "inside focused group": 'pass', "inside other group": 'skip' });
+});
+
+test("grep matches the group path and gist", async () => {
+	const { results } = await collect(runner => {
+		runner.group("Parser", () => {
+			runner.test("reports errors", 1, 1);
+			runner.test("reports warnings", 1, 1);
+		});
+		runner.test("reports errors", 1, 1);
+	}, { grep: /^Parser .*errors$/ });
+	assert.deepEqual(results.map(result => `${result.verdict} ${[...result.path, result.gist].join(' › ')}`),
+		["pass Parser › reports errors", "skip Parser › reports warnings", "skip reports errors"]);
+});
+
+test("a test that passes on a retry is reported as flaky", async () => {
+	let calls = 0;
+	const { results: [flaky, failing, passing], summary, verdict } = await collect(runner => {
+		runner.test("passes on the second attempt", () => ++calls, 2);
+		runner.test("fails every attempt", 1, 2, { retries: 2 });
+		runner.test("passes first time", 1, 1);
+	}, { retries: 1 });
+	assert.deepEqual([flaky.verdict, flaky.attempts, flaky.attemptResults.map(attempt => attempt.verdict)], ['flaky', 2, ['fail', 'pass']]);
+	assert.deepEqual([failing.verdict, failing.attempts], ['fail', 3]);
+	assert.deepEqual([passing.verdict, passing.attempts], ['pass', undefined]);
+	assert.deepEqual([summary.flaky, summary.failed, verdict], [1, 1, 'fail']);
+});
+
+test("beforeEach and afterEach run around each attempt of a retried test", async () => {
+	const calls = [];
+	const { results } = await collect(runner => {
+		runner.beforeEach(() => calls.push('before'));
+		runner.afterEach(() => calls.push('after'));
+		runner.test("passes on the third attempt", () => { calls.push('test'); return calls.length }, 8, { retries: 2 });
+	});
+	assert.deepEqual([results[0].verdict, results[0].attempts], ['flaky', 3]);
+	assert.deepEqual(calls, ['before', 'test', 'after', 'before', 'test', 'after', 'before', 'test', 'after']);
+});
+
+test("concurrent groups respect maxConcurrency and test.serial() runs alone", async () => {
+	let active = 0;
+	const peaks = {};
+	const track = (gist, ms) => async () => {
+		active++;
+		peaks[gist] = active;
+		await sleep(ms);
+		peaks[gist] = Math.max(peaks[gist], active);
+		active--;
+		return true;
+	};
+	const { results } = await collect(runner => {
+		runner.group("Pool", () => {
+			runner.test("a", track("a", 30), true);
+			runner.test("b", track("b", 10), true);
+			runner.test("c", track("c", 10), true);
+			runner.test.serial("alone", track("alone", 10), true);
+		}, { concurrent: true, maxConcurrency: 2 });
+	});
+	assert.deepEqual(results.map(result => result.gist), ["a", "b", "c", "alone"]);
+	assert.equal(Math.max(peaks.a, peaks.b, peaks.c), 2);
+	assert.equal(peaks.alone, 1);
+});
+
+test("concurrent tests cannot install fake timers", async () => {
+	const { results } = await collect(runner => {
+		runner.group("Refused", () => {
+			runner.test("sleeps", () => sleep(20), undefined);
+			runner.test("refused", () => runner.useFakeTimers(), undefined);
+		}, { concurrent: true });
+	});
+	assert.deepEqual(results.map(result => result.verdict), ['pass', 'error']);
+	assert.match(results[1].result.message, /test\.serial\(\)/);
+});
+
+test("a clock installed by beforeAll stays until afterAll, one test at a time", async () => {
+	const seen = [];
+	const { events } = await collect(runner => {
+		runner.group("Installed by beforeAll", () => {
+			runner.beforeAll(() => runner.useFakeTimers({ now: 0 }));
+			runner.test("first", async () => {
+				seen.push(`first sees ${Date.now()}`);
+				await runner.wait(20);
+				seen.push('first done');
+			}, undefined);
+			runner.test("second", () => { seen.push(`second sees ${Date.now()}`) }, undefined);
+			runner.afterAll(() => { seen.push(`afterAll sees ${Date.now()}`) });
+		}, { concurrent: true });
+	});
+	assert.deepEqual(events, ["start Installed by beforeAll", "pass first", "pass second", "end Installed by beforeAll"]);
+	assert.deepEqual(seen, ['first sees 0', 'first done', 'second sees 0', 'afterAll sees 0']);
+	assert.ok(Date.now() > 0);
+});
+
+test("test.each() interpolates rows into the gists and reports them as params", async () => {
+	const { results } = await collect(runner => {
+		runner.test.each([{ user: { name: 'Ada' }, age: 36 }])("%# $user.name is $age, not $missing, 100%%", ({ age }) => age, 36);
+		runner.test.each([[1, 'one'], [2, 'two']])("%d is %s (%j)", (n) => n, 1);
+		runner.group.each([{ lang: 'en' }])("In $lang", ({ lang }) => {
+			runner.test("inherits the group's row", lang, 'en');
+		});
+	});
+	assert.deepEqual(results.map(result => [result.path.join(' › '), result.gist, result.verdict, result.params]), [
+		["", "0 Ada is 36, not $missing, 100%", 'pass', { user: { name: 'Ada' }, age: 36 }],
+		["", "1 is one (%j)", 'pass', [1, 'one']],
+		["", "2 is two (%j)", 'fail', [2, 'two']],
+		["In en", "inherits the group's row", 'pass', { lang: 'en' }]
+	]);
+});
+
+test("test.each() rejects a table that is not iterable", () => {
+	assert.throws(() => new ATestRunner().test.each(42));
+});
+
+test("a failing property reports the seed and a shrunk counterexample, and the seed replays it", async () => {
+	const define = runner => runner.property("n < 50", { n: runner.arb.integer({ min: 0, max: 1000 }) }, ({ n }) => n < 50, { seed: 42 });
+	const { results: [first] } = await collect(define);
+	const { results: [replay] } = await collect(define);
+	assert.equal(first.verdict, 'fail');
+	assert.match(first.message, /seed 42/);
+	assert.deepEqual(first.result, { n: 50 });
+	assert.equal(replay.message, first.message);
+});
+
+test("arrays shrink to the fewest and smallest elements that fail", async () => {
+	const { results } = await collect(runner => {
+		const { array, integer } = runner.arb;
+		runner.property("no element above 10", { list: array(integer({ min: 0, max: 100 })) }, ({ list }) => list.every(n => n <= 10), { seed: 7 });
+	});
+	assert.deepEqual(results[0].result, { list: [11] });
+});
+
+test("a bench() candidate over its budget fails with the statistics as the result", async () => {
+	const { results: [result] } = await collect(runner => {
+		runner.bench("Waiting", async function wait() { await sleep(2) }, { samples: 3, minSampleTime: 0, budget: { median: 1 } });
+	});
+	const [stats] = result.result;
+	assert.deepEqual([result.verdict, result.bench, result.expect], ['fail', true, { median: 1 }]);
+	assert.deepEqual([stats.name, stats.samples.length, stats.relative], ['wait', 3, 1]);
+	assert.ok(stats.median >= 1);
+	assert.match(result.message, /wait: median .* is over the budget of 1ms/);
+});
+
+test("an orchestrator runs a file's tests again on every run", async () => {
+	const summaries = [];
+	const reporter = { report() {}, complete: (verdict, summary) => summaries.push(summary) };
+	const files = ['./fixtures/passing.test.js', './fixtures/failing.test.js'];
+	const orchestrator = new ATestOrchestrator(files, { baseURL: import.meta.url, reporters: [reporter] });
+
+	assert.equal(await orchestrator.run(), 'fail');
+	assert.equal(await orchestrator.run(), 'fail');
+	assert.deepEqual(summaries.map(({ passed, failed, total }) => ({ passed, failed, total })), [
+		{ passed: 2, failed: 1, total: 3 },
+		{ passed: 2, failed: 1, total: 3 }
+	]);
+});